@@ -25,6 +25,105 @@ export type TMatcherSelector<Context extends object, T> = (
     context: Readonly<Context>,
 ) => T;
 
+/**
+ * A key of a matcher case.
+ * Any property key can be used, including falsy ones like `""` or `0`.
+ */
+export type TMatcherCase = string | number | symbol;
+
+/** Keys of the matched cases, which can be mapped to results */
+export type TMatcherCaseKey<Cases> = Extract<Cases, TMatcherCase>;
+
+/**
+ * The guard clause of the match case, that runs after the pattern passed.
+ *
+ * @template Context - The type of the context narrowed by the pattern.
+ */
+export type TMatcherGuardClause<Context> = {
+    /**
+     * @param context - The context narrowed by the pattern.
+     * @param bindings - Captured values, including values captured by the pattern.
+     * @returns `true` if the case matches.
+     */
+    when(context: Readonly<Context>, bindings: TMatcherBindings): boolean;
+};
+
+/** The guard clause of the async match case, the guard may be async */
+export type TAsyncMatcherGuardClause<Context> = {
+    when(
+        context: Readonly<Context>,
+        bindings: TMatcherBindings,
+    ): TAwaitable<boolean>;
+};
+
+/**
+ * Options of a match case.
+ */
+export type TMatcherCaseOptions = {
+    /**
+     * Priority of the case, 0 by default. Cases declared before the first case
+     * with priority are evaluated at once, in order of declaration.
+     * The case with priority and the cases after it are deferred and evaluated
+     * together by the step, that needs the matched case (`otherwise`, `pick`,
+     * `matchAll`, `explain`, `unwrap`, resolving steps and the end of the branch),
+     * higher priority first.
+     * Cases of the same priority are ordered by the specificity of the pattern
+     * (the number of constrained values, only for cases with the priority),
+     * then by order of declaration.
+     *
+     * Deferred cases of a forwarded branch (see `forward`) are evaluated
+     * together with the cases of the parent, so rule sets of different modules
+     * can be merged regardless of their order.
+     */
+    priority?: number;
+};
+
+declare const matcherValue: unique symbol;
+
+/**
+ * A case result created by `matcher.value`.
+ * The wrapped value is returned as the matched case as is, even a function.
+ * In patterns the wrapped value is compared by strict equality.
+ *
+ * @template Value - The type of the wrapped value.
+ */
+export interface IMatcherValue<Value> {
+    readonly [matcherValue]: Value;
+}
+
+/**
+ * The cases contributed by a case map entry:
+ * a case key, a value created by `matcher.value`, or cases of a branch delegate.
+ */
+export type TMatcherCaseResult<T> =
+    T extends IMatcherValue<infer Value>
+        ? Value
+        : T extends (
+                ...args: any[]
+            ) => IMatcherBranch<any, infer BranchCases, any>
+          ? BranchCases
+          : T extends (...args: any[]) => any
+            ? never
+            : T;
+
+/** Async mirror of {@link TMatcherCaseResult} */
+export type TAsyncMatcherCaseResult<T> =
+    T extends IMatcherValue<infer Value>
+        ? Value
+        : T extends (
+                ...args: any[]
+            ) => IAsyncMatcherBranch<any, infer BranchCases, any>
+          ? BranchCases
+          : T extends (...args: any[]) => any
+            ? never
+            : T;
+
+/**
+ * Values captured by `matcher.capture` comparators of the matched patterns,
+ * keyed by capture name.
+ */
+export type TMatcherBindings = Readonly<Record<string, unknown>>;
+
 /**
  * A callback function that reports the current state of the matcher.
  *
@@ -35,10 +134,12 @@ export type TMatcherSelector<Context extends object, T> = (
  * @template Case - The matched case key.
  * @param context - The current read-only context.
  * @param matchedCase - The key of the case currently matched.
+ * @param bindings - Values captured so far.
  */
-export type TMatcherPicker<Context extends object, Case extends string & {}> = (
+export type TMatcherPicker<Context extends object, Case> = (
     context: Readonly<Context>,
     matchedCase: Case,
+    bindings: TMatcherBindings,
 ) => void;
 
 
@@ -52,13 +153,14 @@ export type TMatcherPicker<Context extends object, Case extends string & {}> = (
  * @template Case - The matched case key.
  * @param context - The current read-only context after matching.
  * @param caseKey - The key of the case that was matched.
+ * @param bindings - Values captured by the matched patterns.
  * @returns A result of type `Result` corresponding to the matched case.
  */
-export type TMatcherResolver<
-    Result,
-    Context extends object,
-    Case extends string,
-> = (context: Readonly<Context>, caseKey: Case) => Result;
+export type TMatcherResolver<Result, Context extends object, Case> = (
+    context: Readonly<Context>,
+    caseKey: Case,
+    bindings: TMatcherBindings,
+) => Result;
 
 /**
  * Interface for a value comparator used in matcher patterns.
@@ -69,21 +171,475 @@ export type IMatcherComparator = {
      * Test a value to determine if it satisfies certain conditions.
      *
      * @param value - The value to test.
+     * @param bindings - Captured values storage, passed by the matcher to capturing comparators.
      * @returns `true` if the value matches the condition, false otherwise.
      */
-    test(value: unknown): boolean;
+    test(value: unknown, bindings?: Record<string, unknown>): boolean;
+
+    /**
+     * Optional description of the expected value, used by `matcher.validate`
+     * in the message "expected <description>, got <value>".
+     * Built-in comparators describe themselves, e.g. "number >= 18".
+     */
+    describe?(): string;
+
+    /**
+     * Optional message for the value, that didn't pass the test.
+     * Used by `matcher.validate` instead of the message built by `describe`.
+     *
+     * @param value - The value, that didn't pass the test.
+     * @returns The message, or `undefined` to use the default one.
+     */
+    explain?(value: unknown): string | undefined;
+
+    /**
+     * Optional JSON form of the comparator (see {@link TMatcherJSONPattern}).
+     * Built-in comparators can be serialized, except `instanceOf`.
+     */
+    toJSON?(): unknown;
+};
+
+/**
+ * Interface for a value comparator that can test the value asynchronously.
+ * Supported by the async matcher only (see `matcher.async`).
+ */
+export type IAsyncMatcherComparator = {
+    /**
+     * Test a value to determine if it satisfies certain conditions.
+     *
+     * @param value - The value to test.
+     * @param bindings - Captured values storage, passed by the matcher to capturing comparators.
+     * @returns `true` (or a promise of it) if the value matches the condition, false otherwise.
+     */
+    test(
+        value: unknown,
+        bindings?: Record<string, unknown>,
+    ): boolean | PromiseLike<boolean>;
+
+    describe?(): string;
+    explain?(value: unknown): string | undefined;
+};
+
+/**
+ * A comparator, that narrows the type of the tested value.
+ * Built-in comparators are typed, so matched patterns narrow the context.
+ *
+ * @template T - The type of values that pass the test.
+ */
+export type IMatcherTypedComparator<T> = {
+    test(value: unknown, bindings?: Record<string, unknown>): value is T;
+    describe?(): string;
+    explain?(value: unknown): string | undefined;
+    toJSON?(): unknown;
+};
+
+declare const matcherContextFields: unique symbol;
+
+/**
+ * A typed comparator, that merges the captured fields into the context
+ * of the matched branch (created by `matcher.regex`).
+ *
+ * @template T - The type of values that pass the test.
+ * @template Fields - The fields merged into the branch context.
+ */
+export type IMatcherContextComparator<
+    T,
+    Fields extends object,
+> = IMatcherTypedComparator<T> & {
+    readonly [matcherContextFields]?: Fields;
+};
+
+/** The result of the Standard Schema validation */
+export type TMatcherStandardResult<Output> =
+    | { readonly value: Output; readonly issues?: undefined }
+    | {
+          readonly issues: ReadonlyArray<{
+              readonly message: string;
+              readonly path?: ReadonlyArray<PropertyKey | { key: PropertyKey }>;
+          }>;
+      };
+
+/**
+ * A validator of the Standard Schema interface (Zod, Valibot, ArkType, etc.).
+ * Can be used in patterns as a comparator: the value matches,
+ * when the validation has no issues. The output type of the schema narrows the context.
+ *
+ * @template Output - The type of the valid value.
+ */
+export type IMatcherStandardSchema<Output = unknown> = {
+    readonly "~standard": {
+        readonly version: 1;
+        readonly vendor: string;
+        readonly validate: (
+            value: unknown,
+        ) =>
+            | TMatcherStandardResult<Output>
+            | PromiseLike<TMatcherStandardResult<Output>>;
+        readonly types?:
+            | { readonly input: unknown; readonly output: Output }
+            | undefined;
+    };
 };
 
+/** A field of the value, that didn't match the pattern */
+export type TMatcherValidationError = {
+    /** Keys and indexes from the root value to the field, empty for the root */
+    path: (string | number)[];
+    /** e.g. "expected number >= 18, got 16" */
+    message: string;
+};
+
+/** The result of `matcher.validate` */
+export type TMatcherValidationResult = {
+    valid: boolean;
+    /** All mismatched fields, in order of the pattern keys */
+    errors: TMatcherValidationError[];
+};
+
+/**
+ * A type guard predicate, that narrows the context of the matched case.
+ *
+ * @template Context - The type of the matcher context.
+ * @template Narrowed - The type of the context, when the guard passes.
+ */
+export type TMatcherGuard<
+    Context extends object,
+    Narrowed extends Readonly<Context>,
+> = (context: Readonly<Context>) => context is Narrowed;
+
+declare const matcherRest: unique symbol;
+
+/**
+ * A rest element of the array pattern created by `matcher.rest`.
+ * Can be spread into the array pattern: `["cmd", ...matcher.rest()]`.
+ *
+ * @template T - The type of the rest items.
+ */
+export interface IMatcherRest<T = unknown> extends Iterable<IMatcherRest<T>> {
+    readonly [matcherRest]: T;
+    toJSON(): unknown;
+}
+
+/**
+ * A pattern for an array value.
+ *
+ * - Tuple of element patterns: elements are matched by index,
+ *   the array must be of the same length.
+ * - Element patterns with a single rest element: elements before the rest
+ *   are matched from the start, elements after it are matched from the end.
+ *
+ * @template T - The type of the matched array.
+ * @template Comparator - The type of allowed comparators.
+ */
+export type TMatcherArrayPattern<
+    T extends readonly unknown[],
+    Comparator = IMatcherComparator,
+> =
+    | { [I in keyof T]: TMatcherValuePattern<T[I], Comparator> }
+    | readonly (TMatcherValuePattern<T[number], Comparator> | IMatcherRest)[];
+
+/**
+ * A pattern for a single value of the matcher context.
+ *
+ * - Comparator: value must pass the comparator test.
+ * - Standard Schema: value must pass the schema validation.
+ * - Function: value must pass the predicate, a type guard narrows the context.
+ *   Functions were compared by strict equality before, so a class or
+ *   a constructor function (e.g. `Error`) matched by identity must now be
+ *   wrapped by `matcher.value`: a class in the pattern throws a TypeError,
+ *   and `Error` called as a predicate would pass any value.
+ * - Value wrapped by `matcher.value`: compared by strict equality,
+ *   so a function value is matched by identity.
+ * - Array: value must be an array matched by the array pattern
+ *   (see {@link TMatcherArrayPattern}).
+ * - Plain object: nested sub-pattern, matched recursively.
+ * - Any other value: compared by strict equality.
+ *
+ * @template T - The type of the matched value.
+ * @template Comparator - The type of allowed comparators.
+ */
+export type TMatcherValuePattern<T, Comparator = IMatcherComparator> =
+    | Comparator
+    | IMatcherStandardSchema
+    | TMatcherValuePredicate<T, Comparator>
+    | IMatcherValue<T>
+    | (T extends readonly unknown[]
+          ? TMatcherArrayPattern<T, Comparator>
+          : T extends Function
+            ? never
+            : T extends object
+              ? TMatcherContextPattern<T, Comparator>
+              : T);
+
+/**
+ * A predicate of the value in the pattern.
+ * Predicates of the async matcher may return promises.
+ *
+ * @template T - The type of the matched value.
+ * @template Comparator - The type of allowed comparators.
+ */
+export type TMatcherValuePredicate<T, Comparator = IMatcherComparator> = (
+    value: T,
+) => Comparator extends { test(...args: any[]): infer Result }
+    ? Result
+    : boolean;
+
+/** Remaining depth of the nested paths (see {@link TMatcherPath}) */
+type TMatcherPathDepth = [never, 0, 1, 2, 3];
+
+/**
+ * Paths of the nested values of the context, which can be used as keys
+ * of the object pattern, e.g. `"user.address.country"` or `"items[0].sku"`.
+ * Top-level keys aren't included, paths are limited to 5 levels.
+ *
+ * @template T - The type of the context.
+ */
+export type TMatcherPath<T, Depth extends number = 4> = [Depth] extends [never]
+    ? never
+    : T extends readonly unknown[] | Function
+      ? never
+      : T extends object
+        ? {
+              [K in keyof T & (string | number)]: TMatcherNestedPath<
+                  `${K}`,
+                  NonNullable<T[K]>,
+                  Depth
+              >;
+          }[keyof T & (string | number)]
+        : never;
+
+/** Paths of the nested value under the key */
+type TMatcherNestedPath<
+    Key extends string,
+    T,
+    Depth extends number,
+> = T extends Function
+    ? never
+    : T extends readonly (infer Item)[]
+      ?
+            | `${Key}[${number}]`
+            | TMatcherNestedPath<
+                  `${Key}[${number}]`,
+                  Exclude<NonNullable<Item>, readonly unknown[]>,
+                  Depth
+              >
+      : T extends object
+        ? `${Key}.${(keyof T & (string | number)) | TMatcherPath<T, TMatcherPathDepth[Depth]>}`
+        : never;
+
+/** The value of the key (with optional array index) of the path */
+type TMatcherKeyValue<T, Key extends string> = T extends unknown
+    ? Key extends `${infer Name}[${number}]`
+        ? Name extends keyof T
+            ? NonNullable<T[Name]> extends readonly (infer Item)[]
+                ? Item | Extract<T[Name], undefined | null>
+                : undefined
+            : undefined
+        : Key extends keyof T
+          ? T[Key]
+          : undefined
+    : never;
+
+/**
+ * The type of the nested value of the context at the path.
+ * Missing intermediate value gives `undefined`.
+ *
+ * @template T - The type of the context.
+ * @template Path - The path of the value (see {@link TMatcherPath}).
+ */
+export type TMatcherPathValue<
+    T,
+    Path extends string,
+> = Path extends `${infer Key}.${infer Rest}`
+    ?
+          | TMatcherPathValue<NonNullable<TMatcherKeyValue<T, Key>>, Rest>
+          | ([Extract<TMatcherKeyValue<T, Key>, undefined | null>] extends [
+                never,
+            ]
+                ? never
+                : undefined)
+    : TMatcherKeyValue<T, Path>;
+
 /**
  * A pattern object that can be used to match against the matcher context.
- * Each field can be a direct value or a custom comparator.
+ * Each field can be a direct value, a custom comparator
+ * or a nested pattern (comparators are allowed at any depth).
+ * Nested values can be addressed by paths (see {@link TMatcherPath}).
+ *
+ * Array context is matched by an array pattern or a comparator.
+ * Any context can be matched by a Standard Schema validator.
  *
  * @template Context - The type of the matcher context.
+ * @template Comparator - The type of allowed comparators.
+ */
+export type TMatcherContextPattern<
+    Context extends object,
+    Comparator = IMatcherComparator,
+> =
+    | IMatcherStandardSchema
+    | (Context extends readonly unknown[]
+          ? TMatcherArrayPattern<Context, Comparator> | Comparator
+          : {
+                [K in keyof Context]?: TMatcherValuePattern<
+                    Context[K],
+                    Comparator
+                >;
+            } & {
+                [P in TMatcherPath<Context>]?: TMatcherValuePattern<
+                    TMatcherPathValue<Context, P>,
+                    Comparator
+                >;
+            });
+
+/**
+ * The type of values matched by the value pattern.
+ * Typed comparators, schemas and type guards give their type,
+ * untyped comparators and predicates give `unknown`.
+ *
+ * @template Pattern - The value pattern.
+ */
+export type TMatcherPatternType<Pattern> = Pattern extends {
+    test(value: unknown, ...args: any[]): value is infer T;
+}
+    ? T
+    : Pattern extends IMatcherStandardSchema<infer T>
+      ? T
+      : Pattern extends { test(...args: any[]): unknown }
+        ? unknown
+        : Pattern extends (value: any) => value is infer T
+          ? T
+          : Pattern extends Function
+            ? unknown
+            : Pattern extends IMatcherValue<infer Value>
+              ? Value
+              : Pattern extends object
+                ? { [K in keyof Pattern]: TMatcherPatternType<Pattern[K]> }
+                : Pattern;
+
+/**
+ * Narrows the type of the value by the value pattern.
+ *
+ * @template T - The type of the value.
+ * @template Pattern - The value pattern.
  */
-export type TMatcherContextPattern<Context extends object> = {
-    [K in keyof Context]?: Context[K] | IMatcherComparator;
+export type TMatcherNarrowValue<T, Pattern> = unknown extends T
+    ? TMatcherPatternType<Pattern>
+    : Pattern extends
+            | { test(...args: any[]): unknown }
+            | IMatcherStandardSchema
+            | IMatcherValue<unknown>
+            | Function
+      ? TMatcherNarrowByType<T, TMatcherPatternType<Pattern>>
+      : Pattern extends readonly unknown[]
+        ? Extract<T, readonly unknown[]>
+        : Pattern extends object
+          ? TMatcherNarrow<T, Pattern>
+          : TMatcherNarrowByType<T, Pattern>;
+
+/** Keeps the members of `T`, which overlap with the type `U` */
+type TMatcherNarrowByType<T, U> = T extends unknown
+    ? T extends U
+        ? T
+        : U extends T
+          ? U
+          : never
+    : never;
+
+/** Fields of the context narrowed by the pattern */
+type TMatcherNarrowFields<Context, Pattern> = {
+    [K in keyof Pattern & keyof Context]-?: TMatcherNarrowValue<
+        Context[K],
+        Pattern[K]
+    >;
 };
 
+/** Keys of the narrowed fields, that can't be matched by the pattern */
+type TMatcherUnmatchedKeys<Fields> = {
+    [K in keyof Fields]-?: [Fields[K]] extends [never] ? K : never;
+}[keyof Fields];
+
+/** Converts the union type into the intersection of its members */
+type TMatcherUnionToIntersection<U> = (
+    U extends unknown ? (value: U) => void : never
+) extends (value: infer I) => void
+    ? I
+    : never;
+
+/** Fields of the context comparators of the pattern (as union) */
+type TMatcherFieldsOf<Pattern> =
+    Pattern extends IMatcherContextComparator<unknown, infer Fields>
+        ? unknown extends Fields
+            ? never
+            : Fields
+        : Pattern extends
+                | { test(...args: any[]): unknown }
+                | IMatcherValue<unknown>
+                | Function
+          ? never
+          : Pattern extends readonly (infer Item)[]
+            ? TMatcherFieldsOf<Item>
+            : Pattern extends object
+              ? {
+                    [K in keyof Pattern]-?: TMatcherFieldsOf<Pattern[K]>;
+                }[keyof Pattern]
+              : never;
+
+/**
+ * Fields merged into the context of the matched branch
+ * by context comparators of the pattern (see `matcher.regex`).
+ *
+ * @template Pattern - The pattern of the context.
+ */
+export type TMatcherContextFields<Pattern> = TMatcherUnionToIntersection<
+    TMatcherFieldsOf<Pattern>
+>;
+
+/**
+ * The context of the branch, matched by the pattern:
+ * the narrowed context with fields merged by the pattern.
+ *
+ * @template Context - The type of the matcher context.
+ * @template Pattern - The pattern of the context.
+ */
+export type TMatcherBranchContext<Context, Pattern> = TMatcherNarrow<
+    Context,
+    Pattern
+> &
+    TMatcherContextFields<Pattern>;
+
+/**
+ * Narrows the context by the pattern, that matched it.
+ *
+ * Members of the union context, that can't be matched by the pattern,
+ * are excluded. Fields are narrowed by literal values and typed comparators.
+ *
+ * @template Context - The type of the matcher context.
+ * @template Pattern - The pattern of the context.
+ *
+ * @example
+ * type Shape = { kind: "circle"; r: number } | { kind: "rect"; w: number };
+ * type Circle = TMatcherNarrow<Shape, { kind: "circle" }>; // { kind: "circle"; r: number }
+ */
+export type TMatcherNarrow<Context, Pattern> = Pattern extends
+    | { test(...args: any[]): unknown }
+    | IMatcherStandardSchema
+    ? Extract<
+          TMatcherNarrowByType<Context, TMatcherPatternType<Pattern>>,
+          object
+      >
+    : Pattern extends readonly unknown[]
+      ? Extract<Context, readonly unknown[]>
+      : Context extends object
+        ? [
+              TMatcherUnmatchedKeys<TMatcherNarrowFields<Context, Pattern>>,
+          ] extends [never]
+            ? Prettify<
+                  Omit<Context, keyof Pattern> &
+                      TMatcherNarrowFields<Context, Pattern>
+              >
+            : never
+        : never;
+
 /**
  * A function that transforms the current context into a new context.
  *
@@ -130,7 +686,7 @@ export type TContextMerge<
  */
 export interface IMatcherBranch<
     Context extends object,
-    Cases extends string = undefined,
+    Cases = undefined,
     ParentContext extends object = Context,
 > {
     /**
@@ -205,7 +761,7 @@ export interface IMatcherBranch<
      * @param delegate - A function that receives the current matcher branch and returns a new branch matcher.
      * @returns A new matcher branch with updated context and combined case types.
      */
-    forward<ForwardCases extends string, ForwardContext extends object>(
+    forward<ForwardCases, ForwardContext extends object>(
         delegate: TMatcherBranchDelegate<
             Context,
             Cases,
@@ -276,6 +832,7 @@ export interface IMatcherBranch<
      *
      * @param condition - A simple boolean that determines whether the case should match.
      * @param resultCase - The resulting case string or a matcher delegate function.
+     * @param options - Optional case options, e.g. priority (see {@link TMatcherCaseOptions}).
      * @returns A matcher with an updated set of possible result cases.
      *
      * @example static case
@@ -292,18 +849,23 @@ export interface IMatcherBranch<
      *   .otherwise('inactive')
      *   .resolve(); // 'confirmed'
      */
-    matchCase<Case extends string>(
+    matchCase<Case extends TMatcherCase>(
         condition: boolean,
         resultCase: Case | TMatcherBranchDelegate<Context, Cases, Case>,
+        options?: TMatcherCaseOptions,
     ): IMatcherBranch<Prettify<Context>, Cases | Case, ParentContext>;
 
     /**
      * Adds a match case using a structural pattern to match context values.
+     * The branch delegate receives the context narrowed by the pattern
+     * (see {@link TMatcherNarrow}).
      *
      * @template Case - The case identifier to be added or returned from the delegate.
+     * @template Pattern - The type of the pattern.
      *
      * @param pattern - A partial object structure to match against the context.
      * @param resultCase - The resulting case string or a matcher delegate function.
+     * @param options - Optional case options, e.g. priority (see {@link TMatcherCaseOptions}).
      * @returns A matcher with an updated set of possible result cases.
      *
      * @example static value check
@@ -319,10 +881,103 @@ export interface IMatcherBranch<
      *    }, "adult")
      *    .otherwise("young")
      *    .resolve(); // Returns "adult"
+     *
+     * @example nested pattern
+     * matcher({ user: { role: "admin", tags: ["staff", "ops"] } })
+     *    .matchCase({
+     *       user: { role: "admin", tags: ["staff", matcher.string()] },
+     *    }, "staff-admin")
+     *    .otherwise("other")
+     *    .resolve(); // Returns "staff-admin"
+     *
+     * @example case priority
+     * matcher({ role: "admin", region: "EU" })
+     *    .matchCase({ role: "admin" }, "admin", { priority: 1 })
+     *    .matchCase({ region: "EU" }, "eu", { priority: 10 })
+     *    .resolve(); // Returns "eu"
+     *
+     * @example narrowed branch context
+     * matcher<{ kind: "circle"; r: number } | { kind: "rect"; w: number }>(shape)
+     *    .matchCase({ kind: "circle" }, branch =>
+     *       branch.matchCase(ctx => ctx.r > 10, "large-circle")
+     *    )
+     *    .resolve();
      */
-    matchCase<Case extends string>(
-        pattern: TMatcherContextPattern<Context>,
-        resultCase: Case | TMatcherBranchDelegate<Context, Cases, Case>,
+    matchCase<
+        Case extends TMatcherCase,
+        Pattern extends
+            TMatcherContextPattern<Context> = TMatcherContextPattern<Context>,
+    >(
+        pattern: Pattern,
+        resultCase:
+            | Case
+            | TMatcherBranchDelegate<
+                  TMatcherBranchContext<Context, Pattern>,
+                  Cases,
+                  Case
+              >,
+        options?: TMatcherCaseOptions,
+    ): IMatcherBranch<Prettify<Context>, Cases | Case, ParentContext>;
+
+    /**
+     * Adds a match case using a structural pattern with the guard clause.
+     * The guard runs only after the pattern passed, it receives the context
+     * narrowed by the pattern and the bindings with values captured by the pattern.
+     * Keys of the pattern are traced as for a simple pattern.
+     *
+     * @template Case - The case identifier to be added or returned from the delegate.
+     * @template Pattern - The type of the pattern.
+     *
+     * @param pattern - A partial object structure to match against the context.
+     * @param guard - The guard clause, that must pass after the pattern.
+     * @param resultCase - The resulting case string or a matcher delegate function.
+     * @param options - Optional case options, e.g. priority (see {@link TMatcherCaseOptions}).
+     * @returns A matcher with an updated set of possible result cases.
+     *
+     * @example
+     * matcher({ role: "admin", orgId: 1, user: { orgId: 1 } })
+     *   .matchCase(
+     *     { role: "admin" },
+     *     { when: (ctx) => ctx.orgId === ctx.user.orgId },
+     *     "org-admin",
+     *   )
+     *   .resolve(); // Returns "org-admin"
+     */
+    matchCase<
+        Case extends TMatcherCase,
+        Pattern extends
+            TMatcherContextPattern<Context> = TMatcherContextPattern<Context>,
+        Narrowed extends object = TMatcherNarrow<Context, Pattern>,
+    >(
+        pattern: Pattern,
+        guard: TMatcherGuardClause<Narrowed>,
+        resultCase: Case | TMatcherBranchDelegate<Narrowed, Cases, Case>,
+        options?: TMatcherCaseOptions,
+    ): IMatcherBranch<Prettify<Context>, Cases | Case, ParentContext>;
+
+    /**
+     * Adds a match case using a type guard predicate.
+     * The branch delegate receives the context narrowed by the guard.
+     *
+     * @template Narrowed - The type of the context, when the guard passes.
+     * @template Case - The case identifier to be added or returned from the delegate.
+     *
+     * @param guard - A type guard, that returns `true` if the context matches.
+     * @param resultCase - The resulting case string or a matcher delegate function.
+     * @param options - Optional case options, e.g. priority (see {@link TMatcherCaseOptions}).
+     * @returns A matcher with an updated set of possible result cases.
+     *
+     * @example
+     * matcher<Shape>(shape)
+     *   .matchCase((ctx): ctx is Circle => "radius" in ctx, branch =>
+     *     branch.matchCase(ctx => ctx.radius > 10, "large")
+     *   )
+     *   .resolve();
+     */
+    matchCase<Narrowed extends Readonly<Context>, Case extends TMatcherCase>(
+        guard: TMatcherGuard<Context, Narrowed>,
+        resultCase: Case | TMatcherBranchDelegate<Narrowed, Cases, Case>,
+        options?: TMatcherCaseOptions,
     ): IMatcherBranch<Prettify<Context>, Cases | Case, ParentContext>;
 
     /**
@@ -332,6 +987,7 @@ export interface IMatcherBranch<
      *
      * @param predicate - A function that returns `true` if the context matches.
      * @param resultCase - The resulting case string or a matcher delegate function.
+     * @param options - Optional case options, e.g. priority (see {@link TMatcherCaseOptions}).
      * @returns A matcher with an updated set of possible result cases.
      *
      * @example
@@ -344,11 +1000,67 @@ export interface IMatcherBranch<
      *   .otherwise("child")
      *   .resolve() // Returns "basic"
      */
-    matchCase<Case extends string>(
+    matchCase<Case extends TMatcherCase>(
         predicate: TMatcherPredicate<Context>,
         resultCase: Case | TMatcherBranchDelegate<Context, Cases, Case>,
+        options?: TMatcherCaseOptions,
     ): IMatcherBranch<Prettify<Context>, Cases | Case, ParentContext>;
 
+    /**
+     * Adds a match case, that returns a value created by `matcher.value`,
+     * or a branch delegate which cases may be such values.
+     *
+     * @template Value - The type of the returned value.
+     * @param condition - A boolean, a pattern or a predicate.
+     * @param resultCase - The case value or a matcher delegate function.
+     * @param options - Optional case options, e.g. priority (see {@link TMatcherCaseOptions}).
+     * @returns A matcher with the value added to the result set.
+     *
+     * @example
+     * matcher({ type: "click" })
+     *   .matchCase({ type: "click" }, matcher.value(onClick))
+     *   .otherwise(matcher.value(noop))
+     *   .resolve(); // Returns onClick
+     */
+    matchCase<Value>(
+        condition:
+            | boolean
+            | TMatcherContextPattern<Context>
+            | TMatcherPredicate<Context>,
+        resultCase:
+            | IMatcherValue<Value>
+            | TMatcherBranchDelegate<Context, Cases, Value>,
+        options?: TMatcherCaseOptions,
+    ): IMatcherBranch<Prettify<Context>, Cases | Value, ParentContext>;
+
+    /**
+     * Adds a match case, that returns the value as is when matched.
+     *
+     * Shorthand for `matchCase(condition, matcher.value(value))`.
+     * Unlike `matchCase`, a function value is returned as a result
+     * instead of being called as a branch delegate.
+     *
+     * @template Value - The type of the returned value.
+     * @param condition - A boolean, a pattern or a predicate, same as in `matchCase`.
+     * @param value - The value to be returned by `resolve()`.
+     * @param options - Optional case options, e.g. priority (see {@link TMatcherCaseOptions}).
+     * @returns A matcher with the value added to the result set.
+     *
+     * @example
+     * matcher({ type: "click" })
+     *   .with({ type: "click" }, onClick)
+     *   .with({ type: "key" }, onKey)
+     *   .resolve(); // Returns onClick
+     */
+    with<Value>(
+        condition:
+            | boolean
+            | TMatcherContextPattern<Context>
+            | TMatcherPredicate<Context>,
+        value: Value,
+        options?: TMatcherCaseOptions,
+    ): IMatcherBranch<Prettify<Context>, Cases | Value, ParentContext>;
+
     /**
      * Selects a case based on a value derived from the context.
      *
@@ -363,7 +1075,7 @@ export interface IMatcherBranch<
      *   .selectCase(ctx => ctx.name)
      *   .resolve(); // Returns "alice"
      */
-    selectCase<Case extends string>(
+    selectCase<Case extends TMatcherCase>(
         selector: TMatcherSelector<Context, Case>,
     ): IMatcherBranch<Prettify<Context>, Cases | Case, ParentContext>;
 
@@ -387,19 +1099,88 @@ export interface IMatcherBranch<
      *   })
      *   .resolve(); // Returns "giftCase"
      */
-    selectCase<Case extends string, T extends string & {}>(
+    selectCase<Case extends TMatcherCase, T extends TMatcherCase>(
         selector: TMatcherSelector<Context, T>,
         caseMap: Record<T, Case | TMatcherBranchDelegate<Context, Cases, Case>>,
     ): IMatcherBranch<Prettify<Context>, Cases | Case, ParentContext>;
 
+    /**
+     * Selects a case based on a mapped value from the context,
+     * where the map may point to values created by `matcher.value`.
+     *
+     * @template T - The keys returned by the selector function.
+     * @template Case - The case keys, values or matcher delegates of the map.
+     * @param selector - A function to extract a key from the context.
+     * @param caseMap - A mapping from keys to result cases, values or matcher delegates.
+     * @returns A matcher with an updated set of possible result cases.
+     */
+    selectCase<
+        T extends TMatcherCase,
+        Case extends
+            | TMatcherCase
+            | IMatcherValue<unknown>
+            | TMatcherBranchDelegate<Context, Cases, unknown>,
+    >(
+        selector: TMatcherSelector<Context, T>,
+        caseMap: Record<T, Case>,
+    ): IMatcherBranch<
+        Prettify<Context>,
+        Cases | TMatcherCaseResult<Case>,
+        ParentContext
+    >;
+
+    /**
+     * Selects a case by the tag field of a discriminated union context.
+     *
+     * Each variant of the union must be handled in the case map,
+     * a missing variant is a type error. Branch delegates receive
+     * the context narrowed to the variant of the tag.
+     *
+     * @template Key - The tag field of the context.
+     * @template Case - The case keys of the map.
+     * @template CaseMap - The map of tags to case keys, values or matcher delegates.
+     * @param key - The tag field of the context.
+     * @param caseMap - A mapping from each tag to a result case, a value or a matcher delegate.
+     * @returns A matcher with an updated set of possible result cases.
+     *
+     * @example
+     * matcher<{ type: "click"; x: number } | { type: "key"; code: string }>(event)
+     *   .matchTag("type", {
+     *     click: (b) => b.matchCase((ctx) => ctx.x > 0, "right"),
+     *     key: (b) => b.matchCase({ code: "Enter" }, "submit"),
+     *   })
+     *   .resolve(); // "right" | "submit"
+     */
+    matchTag<
+        Key extends keyof Context,
+        Case extends TMatcherCase,
+        CaseMap extends TMatcherTagMap<Context, Key, Cases, Case>,
+    >(
+        key: Key,
+        caseMap: CaseMap,
+    ): IMatcherBranch<
+        Prettify<Context>,
+        Cases | TMatcherCaseResult<CaseMap[keyof CaseMap]>,
+        ParentContext
+    >;
+
     /**
      * Defines the fallback case if no other cases match.
      *
      * @param resultCase The default case identifier.
      */
-    otherwise<Case extends string>(
+    otherwise<Case extends TMatcherCase>(
         resultCase: Case,
     ): IMatcherBranch<Prettify<Context>, Cases | Case, ParentContext>;
+
+    /**
+     * Defines the fallback value if no other cases match.
+     *
+     * @param resultCase The default value created by `matcher.value`.
+     */
+    otherwise<Value>(
+        resultCase: IMatcherValue<Value>,
+    ): IMatcherBranch<Prettify<Context>, Cases | Value, ParentContext>;
 }
 
 /**
@@ -414,17 +1195,54 @@ export interface IMatcherBranch<
  * @template BranchContext - The (optional) updated context type for the delegated branch.
  *
  * @param branch - The current matcher branch based on the original context and cases.
+ * @param bindings - Values captured by the matched patterns.
  * @returns A new matcher branch, potentially with its own context and matching outcomes.
  */
 export type TMatcherBranchDelegate<
     Context extends object,
-    Cases extends string,
-    BranchCases extends string = Cases,
+    Cases,
+    BranchCases = Cases,
     BranchContext extends object = Context,
     ParentContext extends object = Context,
-> = (
-    branch: IMatcherBranch<Context, Cases>,
-) => IMatcherBranch<BranchContext, BranchCases, ParentContext> | BranchContext;
+> = {
+    // Method signature makes the branch parameter bivariant:
+    // the branch is invariant in the context (see "unwrap"), so a delegate
+    // of the narrowed context isn't assignable to the delegate of the context otherwise.
+    // The returned branch keeps the cases of the parent, they are inferred apart from the own cases
+    delegate(
+        branch: IMatcherBranch<Context, Cases>,
+        bindings: TMatcherBindings,
+    ):
+        | IMatcherBranch<BranchContext, Cases | BranchCases, ParentContext>
+        | BranchContext;
+}["delegate"];
+
+/**
+ * A map of cases for each variant of a discriminated union context.
+ *
+ * Every tag value of the `Key` field must be present in the map.
+ * Branch delegates receive the context narrowed to the variant of the tag.
+ *
+ * @template Context - The discriminated union context.
+ * @template Key - The tag field of the context.
+ * @template Cases - The case result type from the parent matcher.
+ * @template Case - The case keys of the map.
+ */
+export type TMatcherTagMap<
+    Context extends object,
+    Key extends keyof Context,
+    Cases,
+    Case extends TMatcherCase = TMatcherCase,
+> = {
+    [Tag in Extract<Context[Key], TMatcherCase>]:
+        | Case
+        | IMatcherValue<unknown>
+        | TMatcherBranchDelegate<
+              Extract<Context, Record<Key, Tag>>,
+              Cases,
+              unknown
+          >;
+};
 
 /**
  * The main interface for the pattern matcher.
@@ -438,14 +1256,17 @@ export type TMatcherBranchDelegate<
 // It’s safe to ignore — we know they're equal in this matcher implementation
 export interface IMatcher<
     Context extends object,
-    Cases extends string = undefined,
+    Cases = undefined,
     OriginContext extends object = Context,
+    Mode extends TMatcherMode = "first",
 > extends IMatcherBranch<Context, Cases, OriginContext> {
     /**
      * Resolves and returns the matched case key.
      * Returns `undefined` if no case matched and no fallback is defined.
+     *
+     * In "all" mode, returns the list of all matched cases in order of matching.
      */
-    resolve(): Cases;
+    resolve(): TMatcherMatched<Cases, Mode>;
 
     /**
      * Resolves and maps the matched case to a result using the provided map.
@@ -453,7 +1274,9 @@ export interface IMatcher<
      *
      * @param resultMap An object mapping case keys to result values.
      */
-    resolve<Result>(resultMap: Record<Cases, Result>): Result;
+    resolve<Result>(
+        resultMap: Record<TMatcherCaseKey<Cases>, Result>,
+    ): TMatcherModeResult<Mode, Result>;
 
     /**
      * Resolves the matcher by executing or returning a result for the matched case.
@@ -462,6 +1285,8 @@ export interface IMatcher<
      * that receive the current context and case key.
      *
      * A `fallback` is required to handle unmatched cases.
+     * In "all" mode, each matched case is resolved, the `fallback` is used
+     * for the cases missing in the map.
      *
      * @template Result - The type of value returned by the resolution.
      * @param resultMap - A partial map of case keys to result values or resolver functions.
@@ -470,106 +1295,1633 @@ export interface IMatcher<
      */
     resolve<Result>(
         resultMap: Partial<
-            Record<Cases, Result | TMatcherResolver<Result, Context, Cases>>
+            Record<
+                TMatcherCaseKey<Cases>,
+                Result | TMatcherResolver<Result, Context, Cases>
+            >
         >,
         fallback: Result | TMatcherResolver<Result, Context, Cases>,
-    ): Result;
-
-    // region: Override IMatcherBranch
-
-    withContext<ContextExt extends object | null>(
-        ext: ContextExt,
-    ): IMatcher<
-        Prettify<TContextMerge<Context, ContextExt>>,
-        Cases,
-        OriginContext
-    >;
+    ): TMatcherModeResult<Mode, Result>;
 
-    mapContext<ContextMapped extends object>(
-        mapper: TMatcherContextMapper<Context, ContextMapped>,
-    ): IMatcher<Prettify<ContextMapped>, Cases>;
+    /**
+     * Resolves and returns the matched case key.
+     * Unlike `resolve()`, throws when no case matched.
+     *
+     * @throws {MatcherNoMatchError} When no case matched and no fallback is defined.
+     *
+     * @example
+     * matcher({ role: "guest" })
+     *   .matchCase({ role: "admin" }, "admin")
+     *   .exhaustive(); // Throws MatcherNoMatchError
+     */
+    exhaustive(): TMatcherModeResult<Mode, Exclude<Cases, undefined>>;
 
-    forward<ForwardCases extends string, BranchContext extends object>(
-        delegate: TMatcherBranchDelegate<
-            Context,
-            Cases,
-            ForwardCases,
-            BranchContext
+    /**
+     * Resolves the matched case to a result using the provided map.
+     *
+     * Every case must be present in the map, values may be
+     * results or resolver functions.
+     *
+     * @param resultMap - A map of all case keys to result values or resolver functions.
+     * @returns The resolved result.
+     * @throws {MatcherNoMatchError} When no case matched.
+     * @throws {RangeError} When the matched case is missing in the map.
+     */
+    resolveStrict<Result>(
+        resultMap: Record<
+            TMatcherCaseKey<Cases>,
+            Result | TMatcherResolver<Result, Context, Cases>
         >,
-    ): IMatcher<Prettify<BranchContext>, Cases | ForwardCases, OriginContext>;
+    ): TMatcherModeResult<Mode, Result>;
 
-    matchCase<Case extends string>(
-        condition: boolean,
-        resultCase: Case | TMatcherBranchDelegate<Context, Cases, Case>,
-    ): IMatcher<Prettify<Context>, Cases | Case, OriginContext>;
+    /**
+     * Explains how the matched case was chosen.
+     *
+     * Evaluated steps are recorded only when the matcher
+     * was created with the `trace` option, otherwise `steps` is empty.
+     *
+     * @returns The trace of the evaluated steps and the final decision.
+     *
+     * @example
+     * matcher({ plan: "pro", age: 16 }, { trace: true })
+     *   .matchCase({ plan: "pro", age: matcher.number({ min: 18 }) }, "A")
+     *   .otherwise("B")
+     *   .explain();
+     * // steps[0].keys: [{ key: "plan", matched: true }, { key: "age", matched: false }]
+     */
+    explain(): IMatcherExplanation<Context, TMatcherMatched<Cases, Mode>>;
+
+    /**
+     * Switches the matcher to "all" mode (same as the `mode: "all"` option).
+     *
+     * Every following case is evaluated, even when a case was matched,
+     * and all matched cases are collected in order.
+     * Branches contribute all their matches, `otherwise` is applied
+     * only when nothing was matched by the matcher (or the branch).
+     *
+     * @returns The matcher in "all" mode.
+     *
+     * @example
+     * matcher({ age: 70, vip: true })
+     *   .matchAll()
+     *   .matchCase({ age: matcher.number({ min: 65 }) }, "senior")
+     *   .matchCase({ vip: true }, "vip")
+     *   .resolve(); // Returns ["senior", "vip"]
+     */
+    matchAll(): IMatcher<Context, Cases, OriginContext, "all">;
+
+    /**
+     * Picks the current state, in "all" mode the picker receives
+     * the list of matched cases.
+     */
+    pick(picker: TMatcherPicker<Context, TMatcherMatched<Cases, Mode>>): this;
 
-    matchCase<Case extends string>(
-        pattern: TMatcherContextPattern<Context>,
+    // region: Override IMatcherBranch
+
+    withContext<ContextExt extends object | null>(
+        ext: ContextExt,
+    ): IMatcher<
+        Prettify<TContextMerge<Context, ContextExt>>,
+        Cases,
+        OriginContext,
+        Mode
+    >;
+
+    mapContext<ContextMapped extends object>(
+        mapper: TMatcherContextMapper<Context, ContextMapped>,
+    ): IMatcher<Prettify<ContextMapped>, Cases, Prettify<ContextMapped>, Mode>;
+
+    forward<ForwardCases, BranchContext extends object>(
+        delegate: TMatcherBranchDelegate<
+            Context,
+            Cases,
+            ForwardCases,
+            BranchContext
+        >,
+    ): IMatcher<
+        Prettify<BranchContext>,
+        Cases | ForwardCases,
+        OriginContext,
+        Mode
+    >;
+
+    matchCase<Case extends TMatcherCase>(
+        condition: boolean,
         resultCase: Case | TMatcherBranchDelegate<Context, Cases, Case>,
-    ): IMatcher<Prettify<Context>, Cases | Case, OriginContext>;
+        options?: TMatcherCaseOptions,
+    ): IMatcher<Prettify<Context>, Cases | Case, OriginContext, Mode>;
 
-    matchCase<Case extends string>(
+    matchCase<
+        Case extends TMatcherCase,
+        Pattern extends
+            TMatcherContextPattern<Context> = TMatcherContextPattern<Context>,
+    >(
+        pattern: Pattern,
+        resultCase:
+            | Case
+            | TMatcherBranchDelegate<
+                  TMatcherBranchContext<Context, Pattern>,
+                  Cases,
+                  Case
+              >,
+        options?: TMatcherCaseOptions,
+    ): IMatcher<Prettify<Context>, Cases | Case, OriginContext, Mode>;
+
+    matchCase<
+        Case extends TMatcherCase,
+        Pattern extends
+            TMatcherContextPattern<Context> = TMatcherContextPattern<Context>,
+        Narrowed extends object = TMatcherNarrow<Context, Pattern>,
+    >(
+        pattern: Pattern,
+        guard: TMatcherGuardClause<Narrowed>,
+        resultCase: Case | TMatcherBranchDelegate<Narrowed, Cases, Case>,
+        options?: TMatcherCaseOptions,
+    ): IMatcher<Prettify<Context>, Cases | Case, OriginContext, Mode>;
+
+    matchCase<Narrowed extends Readonly<Context>, Case extends TMatcherCase>(
+        guard: TMatcherGuard<Context, Narrowed>,
+        resultCase: Case | TMatcherBranchDelegate<Narrowed, Cases, Case>,
+        options?: TMatcherCaseOptions,
+    ): IMatcher<Prettify<Context>, Cases | Case, OriginContext, Mode>;
+
+    matchCase<Case extends TMatcherCase>(
         predicate: TMatcherPredicate<Context>,
         resultCase: Case | TMatcherBranchDelegate<Context, Cases, Case>,
-    ): IMatcher<Prettify<Context>, Cases | Case, OriginContext>;
+        options?: TMatcherCaseOptions,
+    ): IMatcher<Prettify<Context>, Cases | Case, OriginContext, Mode>;
+
+    matchCase<Value>(
+        condition:
+            | boolean
+            | TMatcherContextPattern<Context>
+            | TMatcherPredicate<Context>,
+        resultCase:
+            | IMatcherValue<Value>
+            | TMatcherBranchDelegate<Context, Cases, Value>,
+        options?: TMatcherCaseOptions,
+    ): IMatcher<Prettify<Context>, Cases | Value, OriginContext, Mode>;
 
-    selectCase<Case extends string>(
+    with<Value>(
+        condition:
+            | boolean
+            | TMatcherContextPattern<Context>
+            | TMatcherPredicate<Context>,
+        value: Value,
+        options?: TMatcherCaseOptions,
+    ): IMatcher<Prettify<Context>, Cases | Value, OriginContext, Mode>;
+
+    selectCase<Case extends TMatcherCase>(
         selector: TMatcherSelector<Context, Case>,
-    ): IMatcher<Prettify<Context>, Cases | Case, OriginContext>;
+    ): IMatcher<Prettify<Context>, Cases | Case, OriginContext, Mode>;
 
-    selectCase<Case extends string, T extends string & {}>(
+    selectCase<Case extends TMatcherCase, T extends TMatcherCase>(
         selector: TMatcherSelector<Context, T>,
         caseMap: Record<T, Case | TMatcherBranchDelegate<Context, Cases, Case>>,
-    ): IMatcher<Prettify<Context>, Cases | Case, OriginContext>;
+    ): IMatcher<Prettify<Context>, Cases | Case, OriginContext, Mode>;
+
+    selectCase<
+        T extends TMatcherCase,
+        Case extends
+            | TMatcherCase
+            | IMatcherValue<unknown>
+            | TMatcherBranchDelegate<Context, Cases, unknown>,
+    >(
+        selector: TMatcherSelector<Context, T>,
+        caseMap: Record<T, Case>,
+    ): IMatcher<
+        Prettify<Context>,
+        Cases | TMatcherCaseResult<Case>,
+        OriginContext,
+        Mode
+    >;
+
+    matchTag<
+        Key extends keyof Context,
+        Case extends TMatcherCase,
+        CaseMap extends TMatcherTagMap<Context, Key, Cases, Case>,
+    >(
+        key: Key,
+        caseMap: CaseMap,
+    ): IMatcher<
+        Prettify<Context>,
+        Cases | TMatcherCaseResult<CaseMap[keyof CaseMap]>,
+        OriginContext,
+        Mode
+    >;
 
-    otherwise<Case extends string>(
+    otherwise<Case extends TMatcherCase>(
         resultCase: Case,
-    ): IMatcher<Prettify<Context>, Cases | Case, OriginContext>;
+    ): IMatcher<Prettify<Context>, Cases | Case, OriginContext, Mode>;
+
+    otherwise<Value>(
+        resultCase: IMatcherValue<Value>,
+    ): IMatcher<Prettify<Context>, Cases | Value, OriginContext, Mode>;
 
     // endregion: Override IMatcherBranch
 }
 
+/**
+ * A precompiled decision function produced from a matcher definition.
+ *
+ * @template Context - The type of the input context.
+ * @template Result - The result of the matcher chain.
+ */
+export type TMatcherCompiled<Context extends object, Result> = (
+    context?: Context,
+) => Result;
+
+/**
+ * Options of the memoized matcher.
+ *
+ * @template Context - The type of the input context.
+ */
+export type TMatcherMemoizeOptions<Context extends object> = {
+    /** Returns the cache key of the context, the context itself by default */
+    key?: (context: Readonly<Context>) => unknown;
+    /**
+     * Maximum number of cached results, the least recently used is evicted.
+     * Defaults to 100, pass `Infinity` for an unbounded cache.
+     */
+    maxSize?: number;
+    /**
+     * Keys are equal when they have the same own keys with the same values.
+     * The cached keys are scanned, so it is intended for small caches.
+     */
+    shallow?: boolean;
+};
+
+/** Cache stats of the memoized matcher */
+export type TMatcherMemoizeStats = {
+    hits: number;
+    misses: number;
+    /** The number of cached results */
+    size: number;
+};
+
+/**
+ * A compiled decision function with cached results.
+ *
+ * @template Context - The type of the input context.
+ * @template Result - The result of the matcher chain.
+ */
+export type IMatcherMemoized<Context extends object, Result> = TMatcherCompiled<
+    Context,
+    Result
+> & {
+    /** Returns the cache stats */
+    stats(): TMatcherMemoizeStats;
+    /** Clears the cached results and the stats */
+    clear(): void;
+};
+
+/**
+ * A recorded matcher chain that can be compiled into a reusable decision function.
+ *
+ * @template Context - The type of the input context.
+ * @template Result - The result of the matcher chain.
+ */
+export interface IMatcherDefinition<Context extends object, Result> {
+    /**
+     * Compiles the recorded chain into a function `(context) => result`.
+     *
+     * Patterns are precompiled once, and the matcher state
+     * is reused between calls instead of being created for every context.
+     * The function produces the same results as the `matcher(context)` chain.
+     */
+    compile(): TMatcherCompiled<Context, Result>;
+
+    /**
+     * Compiles the recorded chain into a function with cached results.
+     *
+     * Results are cached by the key of the context (the context itself by default),
+     * so repeated calls skip evaluation of the chain entirely.
+     * The chain must not depend on anything but the key of the context.
+     *
+     * @param options - Options of the cache.
+     * @returns A compiled function with cache stats.
+     * @throws {RangeError} When `maxSize` is less than 1.
+     *
+     * @example
+     * const getAccess = matcher
+     *   .define((m: IMatcher<{ role: string }>) =>
+     *     m.matchCase({ role: "admin" }, "full").otherwise("read"),
+     *   )
+     *   .memoize({ shallow: true, maxSize: 100 });
+     *
+     * getAccess({ role: "admin" }); // Evaluated
+     * getAccess({ role: "admin" }); // Cached
+     * getAccess.stats(); // { hits: 1, misses: 1, size: 1 }
+     */
+    memoize(
+        options?: TMatcherMemoizeOptions<Context>,
+    ): IMatcherMemoized<Context, Result>;
+
+    /**
+     * Serializes the recorded chain into JSON rules (see {@link TMatcherJSONRules}).
+     *
+     * Only serializable steps are supported:
+     * - `matchCase` with a boolean or a pattern of JSON values and built-in comparators,
+     *   resolved to a case key, a JSON value or a delegate created by `matcher.fromJSON`;
+     * - `forward` to a delegate created by `matcher.fromJSON`;
+     * - `matchTag` to case keys or delegates created by `matcher.fromJSON`;
+     * - `otherwise` with a case key or a JSON value;
+     * - `resolve()` without arguments.
+     *
+     * @throws {TypeError} When the chain contains a step that can't be serialized.
+     */
+    toJSON(): TMatcherJSONRules;
+}
+
+/**
+ * A function that builds a matcher chain to be recorded by `matcher.define`.
+ *
+ * The chain may end with `resolve(...)` or `unwrap(...)`,
+ * otherwise the matched case is returned as the result.
+ * The builder is called only once, so it must not depend on any context values.
+ */
+export type TMatcherDefinitionBuilder<Context extends object, Result> = (
+    matcher: IMatcher<Context>,
+) => IMatcher<any, Result, any> | Result;
+
+/**
+ * The cases of the matcher chain built by the builder.
+ * `unknown`, when the chain is terminated by `resolve(...)` or `unwrap(...)`.
+ */
+export type TMatcherChainCases<Chain> =
+    Chain extends IMatcher<any, infer Cases, any, any> ? Cases : unknown;
+
+/**
+ * The result of the matcher chain built by the builder.
+ * The matched case, when the chain is not terminated.
+ */
+export type TMatcherChainResult<Chain> =
+    Chain extends IMatcher<any, infer Cases, any, infer Mode>
+        ? TMatcherMatched<Cases, Mode>
+        : Chain;
+
+/**
+ * A collection of items evaluated by the same compiled matcher chain
+ * (see `matcher.each`).
+ *
+ * Items are collected once, when the collection is created.
+ * Unmatched items are grouped under the `undefined` key.
+ * For the chain in "all" mode, the item is added to the group of each matched case.
+ *
+ * @template Item - The type of the items (contexts).
+ * @template Cases - The cases of the matcher chain.
+ * @template Result - The result of the matcher chain for a single item.
+ */
+export interface IMatcherCollection<Item extends object, Cases, Result> {
+    /** Evaluates the chain for each item, results are in order of the items */
+    resolveAll(): Result[];
+
+    /** Groups the items by their matched cases, in order of the first match */
+    groupBy(): Map<Cases, Item[]>;
+
+    /** Counts the items by their matched cases */
+    countBy(): Map<Cases, number>;
+}
+
+/**
+ * Error thrown by exhaustive matching (`exhaustive`, `resolveStrict`)
+ * when no case matched.
+ */
+export declare class MatcherNoMatchError extends Error {
+    /** A snapshot of the context, at the moment of the error */
+    readonly context: object;
+    /** Cases that were tried, in order of evaluation */
+    readonly cases: unknown[];
+
+    constructor(context: object, cases: unknown[]);
+}
+
+// region: Async matcher
+
+/** A value or a promise of the value */
+export type TAwaitable<T> = T | PromiseLike<T>;
+
+/** A predicate function used to match the given context asynchronously. */
+export type TAsyncMatcherPredicate<Context extends object> = (
+    context: Readonly<Context>,
+) => TAwaitable<boolean>;
+
+/** A function that selects a value from the matcher context asynchronously. */
+export type TAsyncMatcherSelector<Context extends object, T> = (
+    context: Readonly<Context>,
+) => TAwaitable<T>;
+
+/** A function that transforms the current context into a new context asynchronously. */
+export type TAsyncMatcherContextMapper<
+    Context extends object,
+    ContextMapped extends object,
+> = (context: Readonly<Context>) => TAwaitable<ContextMapped>;
+
+/** A delegate function to merge the origin context with the result context asynchronously. */
+export type TAsyncMatcherContextMergeDelegate<
+    CurrentContext extends object,
+    ParentContext extends object,
+    ResultContext extends object,
+> = (
+    context: Readonly<CurrentContext>,
+    parentContext: Readonly<ParentContext>,
+) => TAwaitable<ResultContext>;
+
+/** A function that resolves a result value based on the matched case asynchronously. */
+export type TAsyncMatcherResolver<Result, Context extends object, Case> = (
+    context: Readonly<Context>,
+    caseKey: Case,
+    bindings: TMatcherBindings,
+) => TAwaitable<Result>;
+
+/**
+ * A pattern object used to match against the async matcher context.
+ * Comparators may test values asynchronously.
+ */
+export type TAsyncMatcherContextPattern<Context extends object> =
+    TMatcherContextPattern<Context, IAsyncMatcherComparator>;
+
+/**
+ * Async mirror of {@link IMatcherBranch}.
+ *
+ * Each method queues a step, steps are evaluated one by one in order.
+ * Predicates, comparators, selectors, mappers and delegates may return promises.
+ *
+ * @template Context The current context shape.
+ * @template Cases A union of all case keys used so far.
+ * @template ParentContext The parent context shape.
+ */
+export interface IAsyncMatcherBranch<
+    Context extends object,
+    Cases = undefined,
+    ParentContext extends object = Context,
+> {
+    /** See {@link IMatcherBranch.withContext}. The extension may be a promise. */
+    withContext<ContextExt extends object | null>(
+        ext: TAwaitable<ContextExt>,
+    ): IAsyncMatcherBranch<
+        Prettify<TContextMerge<Context, ContextExt>>,
+        Cases,
+        ParentContext
+    >;
+
+    /** See {@link IMatcherBranch.mapContext}. The mapper may be async. */
+    mapContext<ContextMapped extends object>(
+        mapper: TAsyncMatcherContextMapper<Context, ContextMapped>,
+    ): IAsyncMatcherBranch<Prettify<ContextMapped>, Cases, ParentContext>;
+
+    /** See {@link IMatcherBranch.forward}. The delegate may be async. */
+    forward<ForwardCases, ForwardContext extends object>(
+        delegate: TAsyncMatcherBranchDelegate<
+            Context,
+            Cases,
+            ForwardCases,
+            ForwardContext,
+            ParentContext
+        >,
+    ): IAsyncMatcherBranch<
+        Prettify<ForwardContext>,
+        Cases | ForwardCases,
+        ParentContext
+    >;
+
+    /**
+     * See {@link IMatcherBranch.unwrap}.
+     * @returns A promise of the context, settled after all queued steps.
+     */
+    unwrap(): Promise<Context>;
+
+    /**
+     * See {@link IMatcherBranch.unwrap}. The merge delegate may be async.
+     * @returns A promise of the merged context, settled after all queued steps.
+     */
+    unwrap<ResultContext extends object>(
+        delegate: TAsyncMatcherContextMergeDelegate<
+            Context,
+            ParentContext,
+            ResultContext
+        >,
+    ): Promise<ResultContext>;
+
+    /** See {@link IMatcherBranch.pick}. The picker is called when its step is evaluated. */
+    pick(picker: TMatcherPicker<Context, Cases>): this;
+
+    /** See {@link IMatcherBranch.matchCase}. */
+    matchCase<Case extends TMatcherCase>(
+        condition: boolean,
+        resultCase: Case | TAsyncMatcherBranchDelegate<Context, Cases, Case>,
+    ): IAsyncMatcherBranch<Prettify<Context>, Cases | Case, ParentContext>;
+
+    /** See {@link IMatcherBranch.matchCase}. Comparators of the pattern may be async. */
+    matchCase<
+        Case extends TMatcherCase,
+        Pattern extends
+            TAsyncMatcherContextPattern<Context> = TAsyncMatcherContextPattern<Context>,
+    >(
+        pattern: Pattern,
+        resultCase:
+            | Case
+            | TAsyncMatcherBranchDelegate<
+                  TMatcherBranchContext<Context, Pattern>,
+                  Cases,
+                  Case
+              >,
+    ): IAsyncMatcherBranch<Prettify<Context>, Cases | Case, ParentContext>;
+
+    /** See {@link IMatcherBranch.matchCase}. The guard may be async. */
+    matchCase<
+        Case extends TMatcherCase,
+        Pattern extends
+            TAsyncMatcherContextPattern<Context> = TAsyncMatcherContextPattern<Context>,
+        Narrowed extends object = TMatcherNarrow<Context, Pattern>,
+    >(
+        pattern: Pattern,
+        guard: TAsyncMatcherGuardClause<Narrowed>,
+        resultCase: Case | TAsyncMatcherBranchDelegate<Narrowed, Cases, Case>,
+    ): IAsyncMatcherBranch<Prettify<Context>, Cases | Case, ParentContext>;
+
+    /** See {@link IMatcherBranch.matchCase}. Type guards are sync. */
+    matchCase<Narrowed extends Readonly<Context>, Case extends TMatcherCase>(
+        guard: TMatcherGuard<Context, Narrowed>,
+        resultCase: Case | TAsyncMatcherBranchDelegate<Narrowed, Cases, Case>,
+    ): IAsyncMatcherBranch<Prettify<Context>, Cases | Case, ParentContext>;
+
+    /** See {@link IMatcherBranch.matchCase}. The predicate may be async. */
+    matchCase<Case extends TMatcherCase>(
+        predicate: TAsyncMatcherPredicate<Context>,
+        resultCase: Case | TAsyncMatcherBranchDelegate<Context, Cases, Case>,
+    ): IAsyncMatcherBranch<Prettify<Context>, Cases | Case, ParentContext>;
+
+    /** See {@link IMatcherBranch.matchCase}. */
+    matchCase<Value>(
+        condition:
+            | boolean
+            | TAsyncMatcherContextPattern<Context>
+            | TAsyncMatcherPredicate<Context>,
+        resultCase:
+            | IMatcherValue<Value>
+            | TAsyncMatcherBranchDelegate<Context, Cases, Value>,
+    ): IAsyncMatcherBranch<Prettify<Context>, Cases | Value, ParentContext>;
+
+    /** See {@link IMatcherBranch.with}. The condition may be async. */
+    with<Value>(
+        condition:
+            | boolean
+            | TAsyncMatcherContextPattern<Context>
+            | TAsyncMatcherPredicate<Context>,
+        value: Value,
+    ): IAsyncMatcherBranch<Prettify<Context>, Cases | Value, ParentContext>;
+
+    /** See {@link IMatcherBranch.selectCase}. The selector may be async. */
+    selectCase<Case extends TMatcherCase>(
+        selector: TAsyncMatcherSelector<Context, Case>,
+    ): IAsyncMatcherBranch<Prettify<Context>, Cases | Case, ParentContext>;
+
+    /** See {@link IMatcherBranch.selectCase}. The selector may be async. */
+    selectCase<Case extends TMatcherCase, T extends TMatcherCase>(
+        selector: TAsyncMatcherSelector<Context, T>,
+        caseMap: Record<
+            T,
+            Case | TAsyncMatcherBranchDelegate<Context, Cases, Case>
+        >,
+    ): IAsyncMatcherBranch<Prettify<Context>, Cases | Case, ParentContext>;
+
+    /** See {@link IMatcherBranch.selectCase}. The selector may be async. */
+    selectCase<
+        T extends TMatcherCase,
+        Case extends
+            | TMatcherCase
+            | IMatcherValue<unknown>
+            | TAsyncMatcherBranchDelegate<Context, Cases, unknown>,
+    >(
+        selector: TAsyncMatcherSelector<Context, T>,
+        caseMap: Record<T, Case>,
+    ): IAsyncMatcherBranch<
+        Prettify<Context>,
+        Cases | TAsyncMatcherCaseResult<Case>,
+        ParentContext
+    >;
+
+    /** See {@link IMatcherBranch.matchTag}. Delegates may be async. */
+    matchTag<
+        Key extends keyof Context,
+        Case extends TMatcherCase,
+        CaseMap extends TAsyncMatcherTagMap<Context, Key, Cases, Case>,
+    >(
+        key: Key,
+        caseMap: CaseMap,
+    ): IAsyncMatcherBranch<
+        Prettify<Context>,
+        Cases | TAsyncMatcherCaseResult<CaseMap[keyof CaseMap]>,
+        ParentContext
+    >;
+
+    /** See {@link IMatcherBranch.otherwise}. */
+    otherwise<Case extends TMatcherCase>(
+        resultCase: Case,
+    ): IAsyncMatcherBranch<Prettify<Context>, Cases | Case, ParentContext>;
+
+    /** See {@link IMatcherBranch.otherwise}. */
+    otherwise<Value>(
+        resultCase: IMatcherValue<Value>,
+    ): IAsyncMatcherBranch<Prettify<Context>, Cases | Value, ParentContext>;
+}
+
+/**
+ * Async mirror of {@link TMatcherBranchDelegate}.
+ * The delegate may be async, branch steps are awaited before the parent chain continues.
+ */
+export type TAsyncMatcherBranchDelegate<
+    Context extends object,
+    Cases,
+    BranchCases = Cases,
+    BranchContext extends object = Context,
+    ParentContext extends object = Context,
+> = {
+    // Method signature makes the branch parameter bivariant (see TMatcherBranchDelegate)
+    delegate(
+        branch: IAsyncMatcherBranch<Context, Cases>,
+        bindings: TMatcherBindings,
+    ):
+        | IAsyncMatcherBranch<BranchContext, Cases | BranchCases, ParentContext>
+        | TAwaitable<BranchContext | void>;
+}["delegate"];
+
+/** Async mirror of {@link TMatcherTagMap}. */
+export type TAsyncMatcherTagMap<
+    Context extends object,
+    Key extends keyof Context,
+    Cases,
+    Case extends TMatcherCase = TMatcherCase,
+> = {
+    [Tag in Extract<Context[Key], TMatcherCase>]:
+        | Case
+        | IMatcherValue<unknown>
+        | TAsyncMatcherBranchDelegate<
+              Extract<Context, Record<Key, Tag>>,
+              Cases,
+              unknown
+          >;
+};
+
+/**
+ * Async mirror of {@link IMatcher}.
+ * Resolves the result of the match chain as a promise.
+ *
+ * @template Context - The type of the input context being matched.
+ * @template Cases - The resulting type after matching cases.
+ */
+// @ts-expect-error
+// TS gets confused about Context and ParentContext being the same type here.
+// It’s safe to ignore — we know they're equal in this matcher implementation
+export interface IAsyncMatcher<
+    Context extends object,
+    Cases = undefined,
+    OriginContext extends object = Context,
+> extends IAsyncMatcherBranch<Context, Cases, OriginContext> {
+    /** See {@link IMatcher.resolve}. */
+    resolve(): Promise<Cases>;
+
+    /** See {@link IMatcher.resolve}. */
+    resolve<Result>(
+        resultMap: Record<TMatcherCaseKey<Cases>, Result>,
+    ): Promise<Result>;
+
+    /** See {@link IMatcher.resolve}. Resolvers may be async. */
+    resolve<Result>(
+        resultMap: Partial<
+            Record<
+                TMatcherCaseKey<Cases>,
+                Result | TAsyncMatcherResolver<Result, Context, Cases>
+            >
+        >,
+        fallback: Result | TAsyncMatcherResolver<Result, Context, Cases>,
+    ): Promise<Result>;
+
+    /** See {@link IMatcher.exhaustive}. The promise is rejected when no case matched. */
+    exhaustive(): Promise<Exclude<Cases, undefined>>;
+
+    /** See {@link IMatcher.resolveStrict}. Resolvers may be async. */
+    resolveStrict<Result>(
+        resultMap: Record<
+            TMatcherCaseKey<Cases>,
+            Result | TAsyncMatcherResolver<Result, Context, Cases>
+        >,
+    ): Promise<Result>;
+
+    // region: Override IAsyncMatcherBranch
+
+    withContext<ContextExt extends object | null>(
+        ext: TAwaitable<ContextExt>,
+    ): IAsyncMatcher<
+        Prettify<TContextMerge<Context, ContextExt>>,
+        Cases,
+        OriginContext
+    >;
+
+    mapContext<ContextMapped extends object>(
+        mapper: TAsyncMatcherContextMapper<Context, ContextMapped>,
+    ): IAsyncMatcher<Prettify<ContextMapped>, Cases>;
+
+    forward<ForwardCases, BranchContext extends object>(
+        delegate: TAsyncMatcherBranchDelegate<
+            Context,
+            Cases,
+            ForwardCases,
+            BranchContext
+        >,
+    ): IAsyncMatcher<
+        Prettify<BranchContext>,
+        Cases | ForwardCases,
+        OriginContext
+    >;
+
+    matchCase<Case extends TMatcherCase>(
+        condition: boolean,
+        resultCase: Case | TAsyncMatcherBranchDelegate<Context, Cases, Case>,
+    ): IAsyncMatcher<Prettify<Context>, Cases | Case, OriginContext>;
+
+    matchCase<
+        Case extends TMatcherCase,
+        Pattern extends
+            TAsyncMatcherContextPattern<Context> = TAsyncMatcherContextPattern<Context>,
+    >(
+        pattern: Pattern,
+        resultCase:
+            | Case
+            | TAsyncMatcherBranchDelegate<
+                  TMatcherBranchContext<Context, Pattern>,
+                  Cases,
+                  Case
+              >,
+    ): IAsyncMatcher<Prettify<Context>, Cases | Case, OriginContext>;
+
+    matchCase<
+        Case extends TMatcherCase,
+        Pattern extends
+            TAsyncMatcherContextPattern<Context> = TAsyncMatcherContextPattern<Context>,
+        Narrowed extends object = TMatcherNarrow<Context, Pattern>,
+    >(
+        pattern: Pattern,
+        guard: TAsyncMatcherGuardClause<Narrowed>,
+        resultCase: Case | TAsyncMatcherBranchDelegate<Narrowed, Cases, Case>,
+    ): IAsyncMatcher<Prettify<Context>, Cases | Case, OriginContext>;
+
+    matchCase<Narrowed extends Readonly<Context>, Case extends TMatcherCase>(
+        guard: TMatcherGuard<Context, Narrowed>,
+        resultCase: Case | TAsyncMatcherBranchDelegate<Narrowed, Cases, Case>,
+    ): IAsyncMatcher<Prettify<Context>, Cases | Case, OriginContext>;
+
+    matchCase<Case extends TMatcherCase>(
+        predicate: TAsyncMatcherPredicate<Context>,
+        resultCase: Case | TAsyncMatcherBranchDelegate<Context, Cases, Case>,
+    ): IAsyncMatcher<Prettify<Context>, Cases | Case, OriginContext>;
+
+    matchCase<Value>(
+        condition:
+            | boolean
+            | TAsyncMatcherContextPattern<Context>
+            | TAsyncMatcherPredicate<Context>,
+        resultCase:
+            | IMatcherValue<Value>
+            | TAsyncMatcherBranchDelegate<Context, Cases, Value>,
+    ): IAsyncMatcher<Prettify<Context>, Cases | Value, OriginContext>;
+
+    with<Value>(
+        condition:
+            | boolean
+            | TAsyncMatcherContextPattern<Context>
+            | TAsyncMatcherPredicate<Context>,
+        value: Value,
+    ): IAsyncMatcher<Prettify<Context>, Cases | Value, OriginContext>;
+
+    selectCase<Case extends TMatcherCase>(
+        selector: TAsyncMatcherSelector<Context, Case>,
+    ): IAsyncMatcher<Prettify<Context>, Cases | Case, OriginContext>;
+
+    selectCase<Case extends TMatcherCase, T extends TMatcherCase>(
+        selector: TAsyncMatcherSelector<Context, T>,
+        caseMap: Record<
+            T,
+            Case | TAsyncMatcherBranchDelegate<Context, Cases, Case>
+        >,
+    ): IAsyncMatcher<Prettify<Context>, Cases | Case, OriginContext>;
+
+    selectCase<
+        T extends TMatcherCase,
+        Case extends
+            | TMatcherCase
+            | IMatcherValue<unknown>
+            | TAsyncMatcherBranchDelegate<Context, Cases, unknown>,
+    >(
+        selector: TAsyncMatcherSelector<Context, T>,
+        caseMap: Record<T, Case>,
+    ): IAsyncMatcher<
+        Prettify<Context>,
+        Cases | TAsyncMatcherCaseResult<Case>,
+        OriginContext
+    >;
+
+    matchTag<
+        Key extends keyof Context,
+        Case extends TMatcherCase,
+        CaseMap extends TAsyncMatcherTagMap<Context, Key, Cases, Case>,
+    >(
+        key: Key,
+        caseMap: CaseMap,
+    ): IAsyncMatcher<
+        Prettify<Context>,
+        Cases | TAsyncMatcherCaseResult<CaseMap[keyof CaseMap]>,
+        OriginContext
+    >;
+
+    otherwise<Case extends TMatcherCase>(
+        resultCase: Case,
+    ): IAsyncMatcher<Prettify<Context>, Cases | Case, OriginContext>;
+
+    otherwise<Value>(
+        resultCase: IMatcherValue<Value>,
+    ): IAsyncMatcher<Prettify<Context>, Cases | Value, OriginContext>;
+
+    // endregion: Override IAsyncMatcherBranch
+}
+
+// endregion: Async matcher
+
+/**
+ * Mode of the matcher:
+ * - `first` - the first matched case wins (default);
+ * - `all` - every case is evaluated and all matched cases are collected.
+ */
+export type TMatcherMode = "first" | "all";
+
+/** The result of the matcher in the mode: a list of results in "all" mode */
+export type TMatcherModeResult<Mode, Result> = Mode extends "all"
+    ? Result[]
+    : Result;
+
+/** The matched case of the matcher in the mode, unmatched is not listed in "all" mode */
+export type TMatcherMatched<Cases, Mode> = Mode extends "all"
+    ? Exclude<Cases, undefined>[]
+    : Cases;
+
+/** Options of the matcher */
+export type TMatcherOptions = {
+    /** Records evaluated steps to be explained by `explain()` */
+    trace?: boolean;
+    /** Mode of the matcher, "first" by default (see `matchAll()`) */
+    mode?: TMatcherMode;
+};
+
+/** The result of a single key of the object pattern */
+export type TMatcherTraceKey = {
+    key: string;
+    matched: boolean;
+};
+
+/** Common fields of the trace steps */
+type TMatcherTraceStepBase = {
+    /** Branch nesting depth (0 - root) */
+    depth: number;
+};
+
+/** Case of the trace step, or the `branch` flag when it is forwarded to a branch */
+type TMatcherTraceCase =
+    | { case: unknown; branch?: never }
+    | { case?: never; branch: true };
+
+/** A single evaluated step of the matcher chain */
+export type TMatcherTraceStep = TMatcherTraceStepBase &
+    (
+        | ({
+              step: "matchCase";
+              context: object;
+              matched: boolean;
+              /**
+               * Results of object pattern keys (only for object patterns),
+               * keys after the first mismatched key aren't evaluated
+               */
+              keys?: TMatcherTraceKey[];
+          } & TMatcherTraceCase)
+        | ({
+              step: "selectCase";
+              context: object;
+              /** The value returned by the selector */
+              selected: unknown;
+              matched: boolean;
+          } & TMatcherTraceCase)
+        | { step: "forward"; context: object }
+        | { step: "branch"; action: "enter" }
+        | { step: "branch"; action: "exit"; matched: boolean }
+        | { step: "otherwise"; case: unknown; matched: boolean }
+    );
+
+/**
+ * Explanation of the matcher decision.
+ *
+ * @template Context - The shape of the matcher context.
+ * @template Cases - The matched case key.
+ */
+export type IMatcherExplanation<Context extends object, Cases> = {
+    /** The final decision */
+    matchedCase: Cases;
+    context: Readonly<Context>;
+    bindings: TMatcherBindings;
+    /** Evaluated steps in order of evaluation */
+    steps: TMatcherTraceStep[];
+};
+
+// region: JSON rules
+
+/**
+ * Named comparators of JSON rules.
+ * Each one is an object with a single key, options are the same as of
+ * the matching comparator factory (`true` can be used for no options).
+ */
+export type TMatcherJSONComparator =
+    | { $number: TNumberComparatorOptions | true }
+    | {
+          /** The pattern is a RegExp source, with optional RegExp flags */
+          $string:
+              | (Omit<TStringComparatorOptions, "pattern"> & {
+                    pattern?: string;
+                })
+              | true;
+      }
+    | { $boolean: true }
+    | {
+          /** The string is a shorthand of the RegExp source */
+          $regex: string | { pattern: string; flags?: string; into?: string };
+      }
+    | {
+          $date: { before?: string | number; after?: string | number } | true;
+      }
+    | {
+          $array:
+              | (Omit<TArrayComparatorOptions, "every" | "some"> & {
+                    every?: TMatcherJSONPattern;
+                    some?: TMatcherJSONPattern;
+                })
+              | true;
+      }
+    | { $object: { [key: string]: TMatcherJSONPattern } | true }
+    | { $nullish: true }
+    | { $defined: true }
+    | { $any: true }
+    | { $anyOf: TMatcherJSONPattern[] }
+    | { $allOf: TMatcherJSONPattern[] }
+    | { $not: TMatcherJSONPattern }
+    | { $oneOf: (string | number | boolean | null)[] }
+    | { $capture: string | [name: string, pattern: TMatcherJSONPattern] }
+    /** Rest element of the array pattern, with optional pattern of rest items */
+    | { $rest: TMatcherJSONPattern | true };
+
+/**
+ * A pattern of JSON rules.
+ * Object with a single `$`-prefixed key is a named comparator,
+ * other objects and arrays are nested patterns.
+ */
+export type TMatcherJSONPattern =
+    | string
+    | number
+    | boolean
+    | null
+    | TMatcherJSONComparator
+    | TMatcherJSONPattern[]
+    | { [key: string]: TMatcherJSONPattern };
+
+/** A JSON value, which can be a case of JSON rules */
+export type TMatcherJSONValue =
+    | string
+    | number
+    | boolean
+    | null
+    | TMatcherJSONValue[]
+    | { [key: string]: TMatcherJSONValue };
+
+/** A single case of JSON rules, evaluated in order */
+export type TMatcherJSONCase =
+    /** Match the pattern (or boolean) and resolve a case key or value */
+    | { match: TMatcherJSONPattern; case: TMatcherJSONValue; priority?: number }
+    /** Match the pattern (or boolean) and continue in the nested branch */
+    | {
+          match: TMatcherJSONPattern;
+          branch: TMatcherJSONRules;
+          priority?: number;
+      }
+    /** Select a case by the value of the context key, with optional mapping */
+    | {
+          select: string;
+          map?: Record<string, string | TMatcherJSONRules>;
+      }
+    /** Forward matching to the nested rules */
+    | { forward: TMatcherJSONRules };
+
+/**
+ * Serializable matcher rules.
+ *
+ * @example
+ * {
+ *   "cases": [
+ *     { "match": { "age": { "$number": { "max": 17 } } }, "case": "child" },
+ *     { "match": { "plan": "pro" }, "branch": {
+ *       "cases": [{ "match": { "seats": { "$number": { "min": 10 } } }, "case": "team" }],
+ *       "otherwise": "pro"
+ *     } },
+ *     { "select": "country", "map": { "DE": "eu", "FR": "eu" } }
+ *   ],
+ *   "otherwise": "basic"
+ * }
+ */
+export type TMatcherJSONRules = {
+    cases?: TMatcherJSONCase[];
+    /** The fallback case, applied after all cases */
+    otherwise?: TMatcherJSONValue;
+};
+
+/** A branch delegate created from JSON rules */
+export type TMatcherJSONDelegate<Cases extends string = string> = {
+    <Context extends object, BranchCases>(
+        branch: IMatcherBranch<Context, BranchCases>,
+    ): IMatcherBranch<Context, BranchCases | Cases>;
+
+    /** Returns the source rules */
+    toJSON(): TMatcherJSONRules;
+};
+
+// endregion: JSON rules
+
 /**
  * Creates a new matcher for the given context.
+ * Conditions are evaluated synchronously, use `matcher.async` for async
+ * comparators, schemas, guards and predicates.
  *
  * @param context Optional initial context for matching.
+ * @param options Optional matcher options.
  * @returns A matcher instance for defining and resolving cases.
+ * @throws {TypeError} When a condition of the case returns a promise.
  */
+export function matcher<Context extends object = {}>(
+    context: Context | undefined,
+    options: TMatcherOptions & { mode: "all" },
+): IMatcher<Context, undefined, Context, "all">;
 export function matcher<Context extends object = {}>(
     context?: Context,
+    options?: TMatcherOptions,
 ): IMatcher<Context>;
 
 export type TNumberComparatorOptions = {
     min?: number;
     max?: number;
+    /** The number must be strictly greater than this value */
+    exclusiveMin?: number;
+    /** The number must be strictly less than this value */
+    exclusiveMax?: number;
     integer?: boolean;
+    safeInteger?: boolean;
     finite?: boolean;
+    notNaN?: boolean;
+    positive?: boolean;
+    negative?: boolean;
+    nonZero?: boolean;
+    /** The number must be a multiple of this non-zero divisor */
+    multipleOf?: number;
+    /** The number must be one of the values */
+    oneOf?: readonly number[];
+    /** Accept decimal numeric strings, constraints apply to the parsed number */
+    coerce?: boolean;
 };
 
+/** Built-in formats of the string comparator */
+export type TStringComparatorFormat =
+    | "email"
+    | "uuid"
+    | "url"
+    | "iso-date"
+    | "semver"
+    | "slug";
+
 export type TStringComparatorOptions = {
     minLen?: number;
     maxLen?: number;
-    pattern?: RegExp;
+    /** RegExp or its source */
+    pattern?: RegExp | string;
+    /** Flags of the pattern given as a source */
+    flags?: string;
+    startsWith?: string;
+    endsWith?: string;
+    includes?: string;
+    /** The string must be one of the values */
+    oneOf?: readonly string[];
+    /** Ignore case in startsWith, endsWith, includes, oneOf and pattern source */
+    ignoreCase?: boolean;
+    /** Trim whitespaces of the string before all checks */
+    trim?: boolean;
+    /** The string must not be empty */
+    nonEmpty?: boolean;
+    format?: TStringComparatorFormat;
+};
+
+export type TBigIntComparatorOptions = {
+    min?: bigint;
+    max?: bigint;
+};
+
+export type TDateComparatorOptions = {
+    /** The date must be strictly before this moment */
+    before?: Date | number | string;
+    /** The date must be strictly after this moment */
+    after?: Date | number | string;
+};
+
+export type TArrayComparatorOptions = {
+    minLen?: number;
+    maxLen?: number;
+    /** Pattern that every item of array must match */
+    every?: unknown;
+    /** Pattern that at least one item of array must match */
+    some?: unknown;
 };
 
 export namespace matcher {
+    /**
+     * Creates a branch delegate from JSON rules, to be used with `forward`
+     * or as a result of a case.
+     *
+     * The rules are parsed once, the delegate can be serialized back with `toJSON`.
+     *
+     * @param rules - Serializable matcher rules.
+     * @returns A branch delegate that applies the rules.
+     * @throws {TypeError} When the rules are invalid or use an unknown comparator.
+     *
+     * @example
+     * const targeting = matcher.fromJSON({
+     *   cases: [{ match: { country: { $oneOf: ["DE", "FR"] } }, case: "eu" }],
+     *   otherwise: "global",
+     * });
+     *
+     * matcher({ country: "DE" }).forward(targeting).resolve(); // Returns "eu"
+     */
+    export function fromJSON<Cases extends string = string>(
+        rules: TMatcherJSONRules,
+    ): TMatcherJSONDelegate<Cases>;
+
+    /**
+     * Wraps a value to be returned by the case as is.
+     *
+     * Any value can be a result of the case: objects, numbers, components
+     * or handler functions. Without the wrapper a function passed
+     * to `matchCase` would be called as a branch delegate.
+     * In patterns the wrapped value is compared by strict equality,
+     * e.g. to match a function by identity instead of calling it as a predicate.
+     *
+     * @template Value - The type of the wrapped value.
+     * @param value - The result of the case.
+     * @returns A case result, that can be passed to `matchCase`, `selectCase` map or `otherwise`.
+     *
+     * @example
+     * matcher({ type: "click" })
+     *   .matchCase({ type: "click" }, matcher.value(onClick))
+     *   .otherwise(matcher.value(noop))
+     *   .resolve(); // Returns onClick
+     */
+    export function value<Value>(value: Value): IMatcherValue<Value>;
+
+    /**
+     * Creates a comparator from the Standard Schema validator (Zod, Valibot, ArkType, etc.).
+     * Schemas can be used in patterns directly, the adapter allows to use
+     * the schema anywhere a comparator is expected.
+     *
+     * Issues of the failed validation are reported by `matcher.validate`.
+     *
+     * @template Output - The type of the valid value.
+     * @param schema - The Standard Schema validator.
+     * @returns A comparator, that passes values without validation issues.
+     *
+     * @example
+     * const User = z.object({ id: z.number(), name: z.string() });
+     *
+     * matcher(payload)
+     *   .matchCase({ user: User }, (b) => b.matchCase(({ user }) => user.id > 0, "user"))
+     *   .matchCase({ user: matcher.anyOf(matcher.schema(User), null) }, "maybe-user")
+     *   .resolve();
+     */
+    export function schema<Output>(
+        schema: IMatcherStandardSchema<Output>,
+    ): IMatcherTypedComparator<Output>;
+
+    /**
+     * Creates a comparator of the pattern with the guard.
+     * The guard runs only after the pattern passed, it receives the value
+     * and the values captured by the pattern.
+     * Unlike the predicate, keys of the object pattern are traced.
+     *
+     * @param pattern - The value pattern.
+     * @param guard - The guard, that must pass after the pattern.
+     * @returns A comparator of the value.
+     *
+     * @example
+     * matcher({ order: { total: 120, limit: 100 } })
+     *   .matchCase(
+     *     {
+     *       order: matcher.where(
+     *         { total: matcher.number(), limit: matcher.number() },
+     *         (order) => order.total > order.limit,
+     *       ),
+     *     },
+     *     "over-limit",
+     *   )
+     *   .resolve(); // Returns "over-limit"
+     */
+    export function where<Pattern>(
+        pattern: Pattern,
+        guard: (
+            value: TMatcherPatternType<Pattern>,
+            bindings: TMatcherBindings,
+        ) => TAwaitable<boolean>,
+    ): IMatcherTypedComparator<TMatcherPatternType<Pattern>>;
+
+    /**
+     * Creates a comparator from the predicate or the type guard function.
+     *
+     * Functions in patterns are wrapped by `guard` implicitly.
+     * The type guard narrows the context.
+     *
+     * @template T - The type of values that pass the type guard.
+     * @param predicate - A predicate of the value.
+     * @returns A comparator, that passes values accepted by the predicate.
+     *
+     * @example
+     * const isEmail = (value: unknown): value is string =>
+     *   typeof value === "string" && value.includes("@");
+     *
+     * matcher({ contact: "bob@example.com" })
+     *   .matchCase({ contact: matcher.guard(isEmail) }, "email")
+     *   .resolve(); // Returns "email"
+     */
+    export function guard<T>(
+        predicate: (value: unknown) => value is T,
+    ): IMatcherTypedComparator<T>;
+    export function guard(
+        predicate: (value: unknown) => boolean,
+    ): IMatcherComparator;
+
+    /**
+     * Creates a comparator of the value computed by the selector.
+     * Errors of the selector are thrown, a missing intermediate value
+     * must be handled by the selector, e.g. with optional chaining.
+     *
+     * @param selector - Computes the matched value.
+     * @param pattern - The pattern of the computed value.
+     * @returns A comparator of the value.
+     *
+     * @example
+     * matcher({ cart: { items: [{ sku: "A1" }, { sku: "B2" }] } })
+     *   .matchCase(
+     *     { cart: matcher.at((cart) => cart.items?.length, matcher.number({ min: 2 })) },
+     *     "bulk",
+     *   )
+     *   .resolve(); // Returns "bulk"
+     */
+    export function at<T = any, Selected = unknown>(
+        selector: (value: T) => Selected,
+        pattern: TMatcherValuePattern<Selected>,
+    ): IMatcherComparator;
+
+    /**
+     * Validates the value by the pattern and reports all mismatched fields.
+     *
+     * The pattern is the same as in `matchCase`, so the same comparators
+     * can be used for both matching and validation.
+     * Messages of comparators are built by their `describe` and `explain` methods.
+     * Only sync comparators are supported.
+     *
+     * @param value - The value to validate.
+     * @param pattern - The value pattern.
+     * @returns The validation result with the list of errors.
+     * @throws {TypeError} When a comparator returns a promise.
+     *
+     * @example
+     * matcher.validate({ age: 16 }, { age: matcher.number({ min: 18 }) });
+     * // { valid: false, errors: [{ path: ["age"], message: "expected number >= 18, got 16" }] }
+     */
+    export function validate<T>(
+        value: T,
+        pattern: TMatcherValuePattern<T>,
+    ): TMatcherValidationResult;
+
+    /**
+     * Creates a new async matcher for the given context.
+     *
+     * Predicates, comparators, selectors, mappers, delegates and resolvers
+     * may return promises. Cases are evaluated one by one in order,
+     * the evaluation stops at the first matched case.
+     *
+     * @param context Optional initial context for matching.
+     * @returns An async matcher instance, `resolve` returns a promise.
+     *
+     * @example
+     * await matcher
+     *   .async({ userId: 42 })
+     *   .matchCase(async (ctx) => await isAdmin(ctx.userId), "admin")
+     *   .otherwise("user")
+     *   .resolve(); // Returns "admin" or "user"
+     */
+    function _async<Context extends object = {}>(
+        context?: Context,
+    ): IAsyncMatcher<Context>;
+    export { _async as async };
+
+    /**
+     * Records a matcher chain once to evaluate it for many contexts.
+     *
+     * @param builder - A function that builds the matcher chain.
+     * @returns A matcher definition to compile.
+     *
+     * @example
+     * const route = matcher
+     *   .define((m: IMatcher<{ method: string }>) =>
+     *     m.matchCase({ method: "GET" }, "read").otherwise("write"),
+     *   )
+     *   .compile();
+     *
+     * route({ method: "GET" }); // Returns "read"
+     * route({ method: "POST" }); // Returns "write"
+     */
+    export function define<Context extends object, Result>(
+        builder: TMatcherDefinitionBuilder<Context, Result>,
+    ): IMatcherDefinition<Context, Result>;
+
+    /**
+     * Evaluates one compiled matcher chain over a collection of items.
+     *
+     * The chain is recorded and compiled once (see `matcher.define`),
+     * and the matcher state is reused between items.
+     *
+     * @param items - An array or an iterable of the contexts.
+     * @param builder - A function that builds the matcher chain.
+     * @returns A collection to resolve, group or count the items.
+     *
+     * @example
+     * matcher
+     *   .each(orders, (m) =>
+     *     m.matchCase({ total: matcher.number({ min: 100 }) }, "large").otherwise("small"),
+     *   )
+     *   .countBy(); // Map { "large" => 2, "small" => 5 }
+     */
+    export function each<Item extends object, Chain>(
+        items: Iterable<Item>,
+        builder: (matcher: IMatcher<Item>) => Chain,
+    ): IMatcherCollection<
+        Item,
+        TMatcherChainCases<Chain>,
+        TMatcherChainResult<Chain>
+    >;
+
+    /**
+     * Creates a comparator that matches when any of the given patterns matches.
+     *
+     * @param patterns - Comparators, nested patterns or literal values.
+     * @returns A comparator that checks whether a value matches at least one pattern.
+     *
+     * @example
+     * matcher({ status: "retry" })
+     *   .matchCase({ status: matcher.anyOf("pending", "retry") }, "wait")
+     *   .resolve(); // Returns "wait"
+     */
+    export function anyOf(...patterns: unknown[]): IMatcherComparator;
+
+    /**
+     * Creates a comparator that matches when all of the given patterns match.
+     *
+     * @param patterns - Comparators, nested patterns or literal values.
+     * @returns A comparator that checks whether a value matches every pattern.
+     */
+    export function allOf(...patterns: unknown[]): IMatcherComparator;
+
+    /**
+     * Creates a comparator that inverts the given pattern.
+     *
+     * @param pattern - A comparator, nested pattern or literal value.
+     * @returns A comparator that checks whether a value does not match the pattern.
+     *
+     * @example
+     * matcher({ attempts: 2 })
+     *   .matchCase({ attempts: matcher.not(0) }, "retry")
+     *   .resolve(); // Returns "retry"
+     */
+    export function not(pattern: unknown): IMatcherComparator;
+
+    /**
+     * Creates a comparator that matches one of the given values.
+     *
+     * @param values - A list of allowed values (compared with SameValueZero).
+     * @returns A comparator that checks whether a value is in the list.
+     */
+    export function oneOf<T>(values: readonly T[]): IMatcherTypedComparator<T>;
+
     /**
      * Creates a numeric comparator with optional constraints.
      *
      * @param options - Optional constraints such as min, max, integer, or finite.
      * @returns A comparator that checks whether a number satisfies the given constraints.
      */
+    export function number(
+        options: TNumberComparatorOptions & { coerce: true },
+    ): IMatcherTypedComparator<number | string>;
     export function number(
         options?: TNumberComparatorOptions,
-    ): IMatcherComparator;
+    ): IMatcherTypedComparator<number>;
+
+    /**
+     * Creates a numeric comparator of the interval.
+     * Square bracket includes the bound, parenthesis excludes it,
+     * empty or infinite bound means no limit.
+     *
+     * @param interval - The interval notation, e.g. `"[0, 10)"` or `"(0, ]"`.
+     * @returns A comparator that checks whether a number is in the interval.
+     * @throws {TypeError} When the interval is invalid.
+     *
+     * @example
+     * matcher({ score: 7 })
+     *   .matchCase({ score: matcher.range("[0, 10)") }, "low")
+     *   .resolve(); // Returns "low"
+     */
+    export function range(interval: string): IMatcherTypedComparator<number>;
 
     /**
      * Creates a string comparator with optional constraints.
      *
-     * @param options - Optional constraints such as minLen, maxLen, or pattern.
+     * @param options - Optional constraints such as minLen, maxLen, pattern, or format.
      * @returns A comparator that checks whether a string satisfies the given constraints.
+     * @throws {TypeError} When the format is unknown.
+     *
+     * @example
+     * matcher.string({ format: "email", endsWith: "@example.com", ignoreCase: true });
      */
     export function string(
         options?: TStringComparatorOptions,
-    ): IMatcherComparator;
+    ): IMatcherTypedComparator<string>;
+
+    /**
+     * Creates a boolean comparator.
+     *
+     * @returns A comparator that checks whether a value is a boolean.
+     */
+    export function boolean(): IMatcherTypedComparator<boolean>;
+
+    /**
+     * Creates a bigint comparator with optional constraints.
+     *
+     * @param options - Optional constraints such as min or max.
+     * @returns A comparator that checks whether a bigint satisfies the given constraints.
+     */
+    export function bigint(
+        options?: TBigIntComparatorOptions,
+    ): IMatcherTypedComparator<bigint>;
+
+    /**
+     * Creates a date comparator with optional constraints.
+     * Invalid dates never match.
+     *
+     * @param options - Optional constraints such as before or after.
+     * @returns A comparator that checks whether a `Date` satisfies the given constraints.
+     */
+    export function date(
+        options?: TDateComparatorOptions,
+    ): IMatcherTypedComparator<Date>;
+
+    /**
+     * Creates an array comparator with optional constraints.
+     *
+     * @param options - Optional constraints such as minLen, maxLen, every or some.
+     * @returns A comparator that checks whether an array satisfies the given constraints.
+     *
+     * @example
+     * matcher({ tags: ["a", "b"] })
+     *   .matchCase({ tags: matcher.array({ some: "b" }) }, "tagged")
+     *   .resolve(); // Returns "tagged"
+     */
+    export function array(
+        options?: TArrayComparatorOptions,
+    ): IMatcherTypedComparator<unknown[]>;
+
+    export namespace array {
+        /**
+         * Creates a comparator that matches an array with an item matched by the pattern.
+         * Same as `matcher.array({ some: pattern })`.
+         *
+         * @param pattern - The pattern of the item.
+         * @returns A comparator that checks whether an array includes a matching item.
+         *
+         * @example
+         * matcher(["build", "--watch"])
+         *   .matchCase(matcher.array.includes("--watch"), "watch")
+         *   .resolve(); // Returns "watch"
+         */
+        function includes(pattern: unknown): IMatcherTypedComparator<unknown[]>;
+    }
+
+    /**
+     * Creates a rest element of the array pattern.
+     *
+     * The rest element matches any number of items between the head
+     * and the tail of the array pattern. Only one rest element is allowed.
+     *
+     * @param pattern - Optional pattern, that each of the rest items must match.
+     * @returns A rest element, that can be spread into the array pattern.
+     *
+     * @example
+     * matcher(["git", "commit", "-m", "msg"])
+     *   .matchCase(["git", "commit", ...matcher.rest(matcher.string())], "commit")
+     *   .resolve(); // Returns "commit"
+     */
+    export function rest<Pattern = unknown>(
+        pattern?: Pattern,
+    ): IMatcherRest<TMatcherPatternType<Pattern>>;
+
+    /**
+     * Creates an object comparator with optional shape.
+     * Unlike a nested pattern, it also rejects arrays.
+     *
+     * @param shape - Optional pattern that the object must match.
+     * @returns A comparator that checks whether a value is a non-null object matching the shape.
+     */
+    export function object<T extends object = {}>(
+        shape?: TMatcherContextPattern<T>,
+    ): IMatcherTypedComparator<T>;
+
+    /**
+     * Creates a comparator that checks the value with `instanceof`.
+     *
+     * @param type - A class (constructor) to check against.
+     * @returns A comparator that checks whether a value is an instance of the class.
+     */
+    export function instanceOf<T>(
+        type: abstract new (...args: any[]) => T,
+    ): IMatcherTypedComparator<T>;
+
+    /**
+     * Creates a comparator that matches `null` or `undefined`.
+     */
+    export function nullish(): IMatcherTypedComparator<null | undefined>;
+
+    /**
+     * Creates a comparator that matches any value except `undefined`.
+     */
+    export function defined(): IMatcherTypedComparator<{} | null>;
+
+    /**
+     * Creates a comparator that matches any value.
+     */
+    export function any(): IMatcherComparator;
+
+    /**
+     * Creates a comparator that captures the matched value under the given name.
+     *
+     * Captured values of the matched pattern are passed as `bindings`
+     * to branch delegates, pickers and resolvers.
+     *
+     * @param name - The name of the binding.
+     * @param pattern - Optional pattern that the value must match to be captured.
+     * @returns A capturing comparator.
+     *
+     * @example
+     * matcher({ user: { id: 42, role: "admin" } })
+     *   .matchCase({ user: { id: matcher.capture("id"), role: "admin" } }, "admin")
+     *   .resolve({ admin: (ctx, caseKey, { id }) => `admin #${id}` }); // "admin #42"
+     */
+    /**
+     * Creates a comparator of the string matching the regular expression.
+     *
+     * Named groups of the match are merged into the context of the matched branch,
+     * or into its `into` field. Global and sticky patterns are matched from the start.
+     *
+     * @template Groups - The type of the named groups.
+     * @param pattern - The regular expression or its source.
+     * @param options - Optional name of the context field for the groups.
+     * @returns A comparator of the string.
+     *
+     * @example
+     * matcher({ path: "/users/42" })
+     *   .matchCase({ path: matcher.regex(/^\/users\/(?<id>\d+)$/) }, (b) =>
+     *     b.matchCase((ctx) => ctx.id === "0", "root").otherwise("user"),
+     *   )
+     *   .resolve(); // Returns "user"
+     */
+    export function regex<
+        Groups extends Record<string, string> = Record<string, string>,
+    >(pattern: RegExp | string): IMatcherContextComparator<string, Groups>;
+    export function regex<
+        Groups extends Record<string, string> = Record<string, string>,
+        Into extends string = string,
+    >(
+        pattern: RegExp | string,
+        options: { into: Into },
+    ): IMatcherContextComparator<string, { [K in Into]: Groups }>;
+
+    export function capture<Pattern = unknown>(
+        name: string,
+        pattern?: Pattern,
+    ): IMatcherTypedComparator<TMatcherPatternType<Pattern>>;
 }
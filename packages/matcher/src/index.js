@@ -9,9 +9,616 @@ function checkIsComparator(value) {
     );
 }
 
-export function matcher(context) {
+function checkIsPlainObject(value) {
+    if (!value || typeof value !== "object") return false;
+    var proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+function checkIsThenable(value) {
+    return !!value && typeof value.then === "function";
+}
+
+// Validator of the Standard Schema interface (Zod, Valibot, ArkType, etc.)
+function checkIsStandardSchema(value) {
+    var standard =
+        !!value &&
+        (typeof value === "object" || typeof value === "function") &&
+        value["~standard"];
+    return !!standard && typeof standard.validate === "function";
+}
+
+/**
+ * Error thrown by exhaustive matching when no case matched.
+ * Keeps the context snapshot and the list of cases tried.
+ */
+export class MatcherNoMatchError extends Error {
+    constructor(context, cases) {
+        super(
+            "No case matched" +
+                (cases.length > 0
+                    ? ` (tried: ${cases.map(String).join(", ")})`
+                    : ""),
+        );
+        this.name = "MatcherNoMatchError";
+        this.context = context;
+        this.cases = cases;
+    }
+}
+
+var hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// Selector result "null", "undefined" or "false" means that no case was selected
+var checkIsSelected = (caseKey) => caseKey != null && caseKey !== false;
+
+// Resolves the result of the matched case by the result map, or fallback
+function resolveMapResult(
+    resultMap,
+    fallback,
+    isMatched,
+    caseKey,
+    context,
+    bindings,
+) {
+    var resultOrDelegate =
+        isMatched && hasOwn(resultMap, caseKey) ? resultMap[caseKey] : fallback;
+    return typeof resultOrDelegate === "function"
+        ? resultOrDelegate(context, caseKey, bindings)
+        : resultOrDelegate;
+}
+
+// Resolves the result of the case, which must be present in the result map
+function resolveStrictResult(resultMap, caseKey, context, bindings) {
+    if (!hasOwn(resultMap, caseKey))
+        throw new RangeError(`No result for case "${String(caseKey)}"`);
+    var resultOrDelegate = resultMap[caseKey];
+    return typeof resultOrDelegate === "function"
+        ? resultOrDelegate(context, caseKey, bindings)
+        : resultOrDelegate;
+}
+
+// Case value created by "matcher.value", which is returned as is, even a function
+var valueTag = Symbol("matcher.value");
+var checkIsValueCase = (resultCase) =>
+    !!resultCase && typeof resultCase === "object" && valueTag in resultCase;
+var unwrapCase = (resultCase) =>
+    checkIsValueCase(resultCase) ? resultCase[valueTag] : resultCase;
+
+// Rest element of array pattern created by "matcher.rest", keeps the pattern of rest items
+var restTag = Symbol("matcher.rest");
+var checkIsRest = (item) =>
+    !!item && typeof item === "object" && restTag in item;
+
+// Array context is copied as array, to be matched by array patterns in branches
+var copyContext = (context) =>
+    Array.isArray(context) ? context.slice() : { ...context };
+
+// Captured fields, merged into the context of the matched branch (see "matcher.regex")
+var contextTag = Symbol("matcher.context");
+
+// Takes out the captured fields of the context, so they don't get into bindings
+function takeContextFields(captured) {
+    var fields = captured && captured[contextTag];
+    if (fields) delete captured[contextTag];
+    return fields;
+}
+
+// Bindings with the captured values, the captured fields of the context are left out
+function mergeBindings(bindings, captured) {
+    var merged = { ...bindings, ...captured };
+    delete merged[contextTag];
+    return merged;
+}
+
+// Adapts the Standard Schema validator to the comparator,
+// the value passes, when the validation result has no issues
+function createSchemaComparator(schema) {
+    var standard = schema["~standard"];
+    var formatIssue = (issue) =>
+        issue.path && issue.path.length > 0
+            ? `${issue.path
+                  .map((key) => String(typeof key === "object" ? key.key : key))
+                  .join(".")}: ${issue.message}`
+            : issue.message;
+    return {
+        test: (value) =>
+            thenTest(standard.validate(value), (result) => !result.issues),
+        describe: () => `${standard.vendor} schema`,
+        // Issues of async validation are not reported
+        explain: (value) => {
+            var result = standard.validate(value);
+            return checkIsThenable(result) || !result.issues
+                ? undefined
+                : result.issues.map(formatIssue).join("; ");
+        },
+    };
+}
+
+// Pattern of the comparator created by "matcher.where", kept for tracing
+var whereTag = Symbol("matcher.where");
+
+// Predicate of the value passes the values, for which it returns true
+var createGuardComparator = (predicate) => ({
+    test: (value) => thenTest(predicate(value), toPassed),
+    describe: () => predicate.name || "value passing the guard",
+});
+
+// Value wrapped by "matcher.value" (e.g. a function) is matched by identity
+var createValueComparator = (expected) => ({
+    test: (value) => value === expected,
+    describe: () => formatValue(expected),
+});
+
+// Class can't be called as a predicate, it is matched by identity only when wrapped
+var checkIsClass = (fn) =>
+    /^class\b/.test(Function.prototype.toString.call(fn));
+
+// Standard Schema, predicate and wrapped value are matched as comparators
+function toComparator(pattern) {
+    if (checkIsStandardSchema(pattern)) return createSchemaComparator(pattern);
+    if (typeof pattern === "function") {
+        if (checkIsClass(pattern))
+            throw new TypeError(
+                `Class ${pattern.name} can't be a predicate of the pattern, wrap it by matcher.value to match it by identity`,
+            );
+        return createGuardComparator(pattern);
+    }
+    if (checkIsValueCase(pattern))
+        return createValueComparator(unwrapCase(pattern));
+    return pattern;
+}
+
+var emptyBindings = Object.freeze({});
+var neverMatched = () => false;
+
+// region: Sync/async test helpers
+// Tests of the async matcher may return promises, when async comparators are used.
+// Tests of the sync matcher are compiled apart, they have no promise handling.
+
+var toPassed = (passed) => !!passed;
+
+// Calls `next` with the test result, waiting for it if it is a promise
+var thenTest = (result, next) =>
+    checkIsThenable(result) ? result.then(next) : next(result);
+
+// Checks the test result of the sync matcher, async result can't be matched
+function checkIsPassed(result) {
+    if (checkIsThenable(result))
+        throw new TypeError("Async condition can't be matched");
+    return !!result;
+}
+
+// Checks that every test passes, one by one in order
+function testEvery(count, test, start) {
+    for (var i = start || 0; i < count; i++) {
+        var result = test(i);
+        if (checkIsThenable(result)) {
+            var next = i + 1;
+            return result.then(
+                (passed) => !!passed && testEvery(count, test, next),
+            );
+        }
+        if (!result) return false;
+    }
+    return true;
+}
+
+// Checks that some test passes, one by one in order
+function testSome(count, test, start) {
+    for (var i = start || 0; i < count; i++) {
+        var result = test(i);
+        if (checkIsThenable(result)) {
+            var next = i + 1;
+            return result.then(
+                (passed) => !!passed || testSome(count, test, next),
+            );
+        }
+        if (result) return true;
+    }
+    return false;
+}
+// endregion
+
+// Compiles the value pattern into a tester function: (value, bindings) => boolean.
+// Values captured by the pattern are written into `bindings` (if given).
+// Tester of the sync matcher throws, when the comparator is async.
+// Comparators compile their patterns as async, they are used by both matchers.
+function compilePattern(pattern, isAsync) {
+    pattern = toComparator(pattern);
+    if (checkIsComparator(pattern))
+        return isAsync
+            ? (value, bindings) =>
+                  thenTest(pattern.test(value, bindings), toPassed)
+            : (value, bindings) => checkIsPassed(pattern.test(value, bindings));
+    if (checkIsRest(pattern))
+        throw new TypeError("Rest pattern is allowed only in array patterns");
+    if (Array.isArray(pattern)) {
+        var restIndex = findRestIndex(pattern);
+        if (restIndex >= 0)
+            return compileRestArrayPattern(pattern, restIndex, isAsync);
+        // Array pattern matches elements by index
+        var itemTesters = pattern.map((item) => compilePattern(item, isAsync));
+        var length = itemTesters.length;
+        if (isAsync)
+            return (value, bindings) =>
+                Array.isArray(value) &&
+                value.length === length &&
+                testEvery(length, (i) => itemTesters[i](value[i], bindings));
+        return (value, bindings) => {
+            if (!Array.isArray(value) || value.length !== length) return false;
+            for (var i = 0; i < length; i++)
+                if (!itemTesters[i](value[i], bindings)) return false;
+            return true;
+        };
+    }
+    if (checkIsPlainObject(pattern)) {
+        // Nested object is a sub-pattern
+        var testObject = compileObjectPattern(pattern, isAsync);
+        return (value, bindings, results) =>
+            value != null &&
+            typeof value === "object" &&
+            testObject(value, bindings, results);
+    }
+    return (value) => value === pattern;
+}
+
+// Index of the rest element of the array pattern, -1 without it
+function findRestIndex(pattern) {
+    var restIndex = pattern.findIndex(checkIsRest);
+    if (restIndex >= 0 && pattern.findLastIndex(checkIsRest) !== restIndex)
+        throw new TypeError("Array pattern may contain only one rest element");
+    return restIndex;
+}
+
+// Array pattern with rest element matches the head elements from the start,
+// the tail elements from the end and the rest items between them
+function compileRestArrayPattern(pattern, restIndex, isAsync) {
+    var compileItem = (item) => compilePattern(item, isAsync);
+    var headTesters = pattern.slice(0, restIndex).map(compileItem);
+    var tailTesters = pattern.slice(restIndex + 1).map(compileItem);
+    var restPattern = pattern[restIndex][restTag];
+    var restTester =
+        restPattern === undefined ? undefined : compileItem(restPattern);
+    var headLength = headTesters.length;
+    var minLength = headLength + tailTesters.length;
+    // Tests the item by the index of head, tail, then rest items
+    var testItem = (value, i, tailStart, bindings) => {
+        if (i < headLength) return headTesters[i](value[i], bindings);
+        if (i < minLength)
+            return tailTesters[i - headLength](
+                value[tailStart + i - headLength],
+                bindings,
+            );
+        return restTester(value[headLength + i - minLength], bindings);
+    };
+    return (value, bindings) => {
+        if (!Array.isArray(value) || value.length < minLength) return false;
+        var tailStart = value.length - tailTesters.length;
+        var count = minLength + (restTester ? tailStart - headLength : 0);
+        if (isAsync)
+            return testEvery(count, (i) =>
+                testItem(value, i, tailStart, bindings),
+            );
+        for (var i = 0; i < count; i++)
+            if (!testItem(value, i, tailStart, bindings)) return false;
+        return true;
+    };
+}
+
+var checkIsPathKey = (key) => key.includes(".") || key.includes("[");
+
+// Key of the object pattern may be a path of the nested value,
+// e.g. "user.address.country" or "items[0].sku".
+// Own key with the same name takes precedence over the path,
+// missing intermediate value gives undefined.
+function compileKeyGetter(key) {
+    if (!checkIsPathKey(key)) return (value) => value[key];
+    var segments = key.match(/[^.[\]]+/g) || [];
+    return (value) => {
+        if (hasOwn(value, key)) return value[key];
+        var item = value;
+        for (var i = 0; i < segments.length; i++) {
+            if (item == null) return undefined;
+            item = item[segments[i]];
+        }
+        return item;
+    };
+}
+
+// Result of each evaluated key is added into `results` (if given),
+// keys after the first mismatched key aren't evaluated
+function compileObjectPattern(pattern, isAsync) {
+    var keys = Object.keys(pattern);
+    // Plain keys are read directly, without a getter per key
+    var getters = keys.some(checkIsPathKey)
+        ? keys.map(compileKeyGetter)
+        : undefined;
+    var testers = keys.map((key) => compilePattern(pattern[key], isAsync));
+    var count = keys.length;
+    if (isAsync)
+        return (value, bindings, results) =>
+            testEvery(count, (i) => {
+                var item = getters ? getters[i](value) : value[keys[i]];
+                var passed = testers[i](item, bindings);
+                if (!results) return passed;
+                return thenTest(passed, (isPassed) => {
+                    results.push({ key: keys[i], matched: !!isPassed });
+                    return isPassed;
+                });
+            });
+    return (value, bindings, results) => {
+        for (var i = 0; i < count; i++) {
+            var item = getters ? getters[i](value) : value[keys[i]];
+            var passed = testers[i](item, bindings);
+            if (results) results.push({ key: keys[i], matched: passed });
+            if (!passed) return false;
+        }
+        return true;
+    };
+}
+
+// Compiles an input of "matchCase" into a condition:
+// (context, captured, bindings, keys) => boolean.
+// Condition with `tracesKeys` adds the results of the object pattern keys into `keys`.
+function compileCondition(input, isAsync) {
+    var inputType = typeof input;
+    if (inputType === "boolean") return input ? () => true : neverMatched;
+    var testResult = isAsync
+        ? (result) => thenTest(result, toPassed)
+        : checkIsPassed;
+    // Array pattern, comparator or schema matches the whole context
+    if (
+        Array.isArray(input) ||
+        checkIsComparator(input) ||
+        checkIsStandardSchema(input)
+    ) {
+        // Keys of the object pattern with the guard are traced
+        if (input[whereTag] && checkIsPlainObject(input[whereTag])) {
+            var whereCondition = (context, captured, bindings, keys) =>
+                testResult(input.test(context, captured, keys));
+            whereCondition.tracesKeys = true;
+            return whereCondition;
+        }
+        var testValue = compilePattern(input, isAsync);
+        return (context, captured) => testValue(context, captured);
+    }
+    if (inputType === "function")
+        return (context) => testResult(input(context));
+    // Null-pattern is always unmatched
+    if (inputType !== "object" || !input) return neverMatched;
+    var testContext = compileObjectPattern(input, isAsync);
+    var condition = (context, captured, bindings, keys) =>
+        context != null && testContext(context, captured, keys);
+    condition.tracesKeys = true;
+    return condition;
+}
+
+// region: Direct evaluation
+// Case of the fluent matcher is evaluated once, when it is declared.
+// Its pattern is tested directly like the compiled tester of the sync matcher,
+// compiling it would cost more than the test itself.
+
+// Tests the value by the pattern, values captured by it are written into `bindings`
+function testPattern(pattern, value, bindings) {
+    pattern = toComparator(pattern);
+    if (checkIsComparator(pattern))
+        return checkIsPassed(pattern.test(value, bindings));
+    if (checkIsRest(pattern))
+        throw new TypeError("Rest pattern is allowed only in array patterns");
+    if (Array.isArray(pattern))
+        return testArrayPattern(pattern, value, bindings);
+    if (checkIsPlainObject(pattern))
+        return (
+            value != null &&
+            typeof value === "object" &&
+            testObjectPattern(pattern, value, bindings)
+        );
+    return value === pattern;
+}
+
+function testArrayPattern(pattern, value, bindings) {
+    var restIndex = findRestIndex(pattern);
+    if (!Array.isArray(value)) return false;
+    var testItems = (start, end, offset) => {
+        for (var i = start; i < end; i++)
+            if (!testPattern(pattern[i], value[i + offset], bindings))
+                return false;
+        return true;
+    };
+    if (restIndex < 0)
+        return (
+            value.length === pattern.length && testItems(0, pattern.length, 0)
+        );
+    var tailOffset = value.length - pattern.length;
+    if (tailOffset < -1) return false;
+    var restPattern = pattern[restIndex][restTag];
+    if (!testItems(0, restIndex, 0)) return false;
+    if (!testItems(restIndex + 1, pattern.length, tailOffset)) return false;
+    if (restPattern === undefined) return true;
+    for (var i = restIndex; i <= restIndex + tailOffset; i++)
+        if (!testPattern(restPattern, value[i], bindings)) return false;
+    return true;
+}
+
+// Result of each evaluated key is added into `results` (if given)
+function testObjectPattern(pattern, value, bindings, results) {
+    var keys = Object.keys(pattern);
+    for (var i = 0; i < keys.length; i++) {
+        var key = keys[i];
+        var item = checkIsPathKey(key)
+            ? compileKeyGetter(key)(value)
+            : value[key];
+        var passed = testPattern(pattern[key], item, bindings);
+        if (results) results.push({ key, matched: passed });
+        if (!passed) return false;
+    }
+    return true;
+}
+
+// Tests the context by the input of "matchCase" like the compiled condition
+function testCondition(input, context, captured, keys) {
+    var inputType = typeof input;
+    if (inputType === "boolean") return input;
+    if (
+        Array.isArray(input) ||
+        checkIsComparator(input) ||
+        checkIsStandardSchema(input)
+    ) {
+        if (input[whereTag] && checkIsPlainObject(input[whereTag]))
+            return checkIsPassed(input.test(context, captured, keys));
+        return testPattern(input, context, captured);
+    }
+    if (inputType === "function") return checkIsPassed(input(context));
+    if (inputType !== "object" || !input) return false;
+    return context != null && testObjectPattern(input, context, captured, keys);
+}
+
+// Keys of the object pattern and of the object pattern with the guard are traced
+function checkIsTracedInput(input) {
+    if (!input || typeof input !== "object") return false;
+    if (
+        Array.isArray(input) ||
+        checkIsComparator(input) ||
+        checkIsStandardSchema(input)
+    )
+        return checkIsPlainObject(input[whereTag]);
+    return true;
+}
+// endregion
+
+// Specificity of the value pattern is the number of constrained values.
+// Cases of the same priority are ordered by it (more constrained pattern first).
+function measurePattern(pattern) {
+    if (checkIsRest(pattern)) return 0;
+    if (checkIsComparator(pattern) || checkIsValueCase(pattern)) return 1;
+    if (Array.isArray(pattern) || checkIsPlainObject(pattern))
+        return Object.keys(pattern).reduce(
+            (sum, key) => sum + measurePattern(pattern[key]),
+            0,
+        );
+    return 1;
+}
+
+// Booleans and predicates have no specificity
+var measureCondition = (input) =>
+    input && typeof input === "object" ? measurePattern(input) : 0;
+
+// Case without priority has priority 0 and no specificity,
+// so such cases keep the order of declaration
+var checkIsPrioritized = (caseOptions) =>
+    !!caseOptions && caseOptions.priority !== undefined;
+
+// Guard clause of the case: (pattern, { when }, resultCase, options)
+var checkIsGuardClause = (value) =>
+    checkIsPlainObject(value) && typeof value.when === "function";
+
+// Reads the arguments of "matchCase" into the case, that is tested directly
+var readCase = (args) => {
+    var isGuarded = checkIsGuardClause(args[1]);
+    return {
+        input: args[0],
+        guard: isGuarded ? args[1].when : undefined,
+        resultCase: args[isGuarded ? 2 : 1],
+        caseOptions: args[isGuarded ? 3 : 2],
+    };
+};
+
+// Tests the case read by "readCase", the guard runs after the pattern passed
+var testCase = (parsed, context, captured, bindings, keys) =>
+    testCondition(parsed.input, context, captured, keys) &&
+    (!parsed.guard ||
+        checkIsPassed(
+            parsed.guard(context, mergeBindings(bindings, captured)),
+        ));
+
+// Compiles the arguments of "matchCase": (input, resultCase, options),
+// or (input, { when }, resultCase, options) with the guard clause.
+// The guard runs after the pattern passed and receives the bindings
+// with values captured by the pattern.
+function compileCase(args, isAsync) {
+    var input = args[0];
+    var condition = compileCondition(input, isAsync);
+    var isGuarded = checkIsGuardClause(args[1]);
+    var caseOptions = args[isGuarded ? 3 : 2];
+    if (isGuarded) {
+        var testPattern = condition;
+        var guard = args[1].when;
+        var testGuard = (context, captured, bindings) =>
+            guard(context, mergeBindings(bindings, captured));
+        condition = isAsync
+            ? (context, captured, bindings) =>
+                  thenTest(
+                      testPattern(context, captured, bindings),
+                      (passed) =>
+                          !!passed &&
+                          thenTest(
+                              testGuard(context, captured, bindings),
+                              toPassed,
+                          ),
+                  )
+            : (context, captured, bindings, keys) =>
+                  testPattern(context, captured, bindings, keys) &&
+                  checkIsPassed(testGuard(context, captured, bindings));
+        condition.tracesKeys = testPattern.tracesKeys;
+    }
+    var isPrioritized = checkIsPrioritized(caseOptions);
+    return {
+        condition,
+        resultCase: args[isGuarded ? 2 : 1],
+        priority: isPrioritized ? caseOptions.priority : 0,
+        // Guard is one more constraint of the case
+        specificity: isPrioritized
+            ? measureCondition(input) + (isGuarded ? 1 : 0)
+            : 0,
+    };
+}
+
+// Empties the reused list, popping is faster than setting the length
+var clearList = (list) => {
+    while (list.length > 0) list.pop();
+};
+
+// Compiles the arguments of "selectCase", the selected case has no priority
+var compileSelect = (selector, caseMap) => ({
+    selector,
+    caseMap,
+    priority: 0,
+    specificity: 0,
+});
+
+// Compiles the arguments of "matchTag" into the case selected by the tag field
+var compileTag = (key, caseMap) => compileSelect((ctx) => ctx[key], caseMap);
+
+// Indexes of the deferred cases in order of evaluation: by priority,
+// then by specificity, then in order of declaration.
+// Undefined, when no case has priority and the order of declaration is kept.
+var checkIsUnprioritized = (compiled) =>
+    compiled.priority === 0 && compiled.specificity === 0;
+function orderCases(cases) {
+    if (cases.every(checkIsUnprioritized)) return undefined;
+    return cases
+        .map((_, index) => index)
+        .sort(
+            (a, b) =>
+                cases[b].priority - cases[a].priority ||
+                cases[b].specificity - cases[a].specificity,
+        );
+}
+
+function createMatcherCore(options) {
+    var context = undefined;
     var matchedCase = undefined;
-    var contextStack = [context || {}];
+    var isMatched = false;
+    var contextStack = [];
+    var bindings = emptyBindings;
+    var triedCases = [];
+    var trace = options && options.trace ? [] : undefined;
+    // In "all" mode every case is evaluated and all matched cases are collected
+    var isAllMode = false;
+    var matchedCases = [];
+    // Deferred cases and their contexts, that are evaluated together by priority
+    var pendingCases = [];
+    var pendingContexts = [];
 
     // region: Context manipulation functions
     var getContext = (index) =>
@@ -20,39 +627,166 @@ export function matcher(context) {
         (contextStack[contextStack.length - (index || 1)] = newContext);
     // endregion
 
-    function applyMatchedCase(caseOrBranch) {
+    // Adds the step into the trace, must be called only when tracing
+    var traceStep = (entry) => {
+        entry.depth = contextStack.length - 1;
+        trace.push(entry);
+    };
+    // Cases are skipped, when the matched case was found in "first" mode
+    var checkIsSkipped = () => isMatched && !isAllMode;
+    var setMatchedCase = (caseKey) => {
+        if (isAllMode) matchedCases.push(caseKey);
+        matchedCase = caseKey;
+        isMatched = true;
+    };
+    var getMatched = () => (isAllMode ? matchedCases.slice() : matchedCase);
+    var traceCase = (entry, resultCase) => {
+        if (typeof resultCase === "function") entry.branch = true;
+        else entry.case = unwrapCase(resultCase);
+        traceStep(entry);
+    };
+
+    function applyMatchedCase(caseOrBranch, captured, isForward) {
+        var fields = takeContextFields(captured);
+        var prevBindings = bindings;
+        if (captured && Object.keys(captured).length > 0)
+            bindings = { ...bindings, ...captured };
         if (typeof caseOrBranch === "function") {
-            // Branch forwarding
-            contextStack.push({ ...getContext() });
-            caseOrBranch(this);
+            // Branch forwarding, the branch tracks its own matches
+            var isParentMatched = isMatched;
+            var parentCases = pendingCases;
+            var parentContexts = pendingContexts;
+            isMatched = false;
+            // Deferred cases of the forwarded branch join the parent cases
+            if (!isForward) {
+                pendingCases = [];
+                pendingContexts = [];
+            }
+            contextStack.push(Object.assign(copyContext(getContext()), fields));
+            if (trace) traceStep({ step: "branch", action: "enter" });
+            caseOrBranch(api, bindings);
+            if (!isForward) {
+                flushCases();
+                pendingCases = parentCases;
+                pendingContexts = parentContexts;
+            }
+            if (trace)
+                traceStep({
+                    step: "branch",
+                    action: "exit",
+                    matched: isMatched,
+                });
             contextStack.pop();
+            // Drop values captured by the branch that matched nothing
+            if (!isMatched) bindings = prevBindings;
+            isMatched ||= isParentMatched;
         } else {
-            // Set matched case
-            matchedCase = caseOrBranch;
+            setMatchedCase(unwrapCase(caseOrBranch));
         }
     }
 
-    function matchCasePattern(pattern, resultCase) {
-        // Null-pattern is always unmatched
-        if (!pattern) return;
-        var patternKeys = Object.keys(pattern);
+    var evaluateCase = (compiled) =>
+        compiled.selector
+            ? selectCondition(compiled)
+            : matchCondition(compiled);
 
-        // Empty pattern is always matched
-        if (patternKeys.length > 0) {
-            var currentContext = getContext();
-            var isMatchPattern = patternKeys.every((key) => {
-                var valuePattern = pattern[key];
-                return checkIsComparator(valuePattern)
-                    ? valuePattern.test(currentContext[key])
-                    : (currentContext[key] === valuePattern);
-            });
-            // Context must match given pattern
-            if (!isMatchPattern) return;
+    // Cases are evaluated at once, until a case with priority is declared.
+    // Then the cases are deferred with the current context, until the step
+    // that needs the matched case (see flushCases)
+    var matchCompiled = (compiled) => {
+        // Skip, if matched case was found
+        if (checkIsSkipped()) return;
+        if (pendingCases.length === 0 && checkIsUnprioritized(compiled))
+            return evaluateCase(compiled);
+        pendingCases.push(compiled);
+        pendingContexts.push(getContext());
+    };
+
+    // Case without the compiled condition is tested directly (see readCase)
+    function matchCondition(compiled) {
+        var condition = compiled.condition;
+        var resultCase = compiled.resultCase;
+        if (typeof resultCase !== "function")
+            triedCases.push(unwrapCase(resultCase));
+        var captured = {};
+        var tracesKeys =
+            !!trace &&
+            (condition
+                ? condition.tracesKeys
+                : checkIsTracedInput(compiled.input));
+        var keys = tracesKeys ? [] : undefined;
+        var isPassed = condition
+            ? condition(getContext(), captured, bindings, keys)
+            : testCase(compiled, getContext(), captured, bindings, keys);
+        if (trace) {
+            var entry = {
+                step: "matchCase",
+                context: getContext(),
+                matched: isPassed,
+            };
+            if (keys) entry.keys = keys;
+            traceCase(entry, resultCase);
         }
-        applyMatchedCase.apply(this, [resultCase]);
+        if (isPassed) applyMatchedCase(resultCase, captured);
     }
 
-    return {
+    function selectCondition(compiled) {
+        var caseMap = compiled.caseMap;
+        var caseKey = compiled.selector(getContext());
+        var isSelected = checkIsSelected(caseKey);
+        if (isSelected) triedCases.push(caseKey);
+        if (caseMap) isSelected &&= hasOwn(caseMap, caseKey);
+        if (trace)
+            traceCase(
+                {
+                    step: "selectCase",
+                    context: getContext(),
+                    selected: caseKey,
+                    matched: isSelected,
+                },
+                isSelected && caseMap ? caseMap[caseKey] : caseKey,
+            );
+        if (isSelected) {
+            if (caseMap) {
+                applyMatchedCase(caseMap[caseKey]);
+            } else {
+                setMatchedCase(caseKey);
+            }
+        }
+    }
+
+    // Evaluates the deferred cases by priority, then by specificity,
+    // then in order of declaration. Each case is matched with its own context.
+    function flushCases() {
+        var count = pendingCases.length;
+        if (count === 0) return;
+        // Branches of the cases defer their cases apart, so the lists are kept
+        var cases = pendingCases;
+        var contexts = pendingContexts;
+        var order = orderCases(cases);
+        var currentContext = getContext();
+        for (var i = 0; i < count && !checkIsSkipped(); i++) {
+            var index = order ? order[i] : i;
+            var caseContext = contexts[index];
+            updateContext(caseContext);
+            evaluateCase(cases[index]);
+            // Context unwrapped by the matched branch replaces
+            // the context, that the case was deferred with
+            var newContext = getContext();
+            if (newContext === caseContext) continue;
+            for (var j = i + 1; j < count; j++) {
+                var nextIndex = order ? order[j] : j;
+                if (contexts[nextIndex] === caseContext)
+                    contexts[nextIndex] = newContext;
+            }
+            if (currentContext === caseContext) currentContext = newContext;
+        }
+        clearList(cases);
+        clearList(contexts);
+        updateContext(currentContext);
+    }
+
+    var api = {
         withContext(ext) {
             if (ext) updateContext({ ...getContext(), ...ext });
             return this;
@@ -64,17 +798,31 @@ export function matcher(context) {
         },
 
         forward(delegate) {
-            if (!matchedCase) {
-                applyMatchedCase.apply(this, [delegate]);
+            if (!checkIsSkipped()) {
+                if (trace)
+                    traceStep({ step: "forward", context: getContext() });
+                applyMatchedCase(delegate, undefined, true);
             }
             return this;
         },
 
         pick(picker) {
-            return picker(getContext(), matchedCase), this;
+            flushCases();
+            return picker(getContext(), getMatched(), bindings), this;
+        },
+
+        explain() {
+            flushCases();
+            return {
+                matchedCase: getMatched(),
+                context: getContext(),
+                bindings,
+                steps: trace ? trace.slice() : [],
+            };
         },
 
         unwrap(delegate) {
+            flushCases();
             var isBranch = contextStack.length > 1;
             var originContextIndex = isBranch ? 2 : 1;
             var newContext = getContext();
@@ -87,71 +835,1070 @@ export function matcher(context) {
             return updateContext(newContext, originContextIndex);
         },
 
-        matchCase(input, resultCase) {
+        matchCase(...args) {
             // Skip, if matched case was found
-            if (!matchedCase) {
-                var inputType = typeof input;
-                if (
-                    (inputType === "boolean" && input) ||
-                    (inputType === "function" && input(getContext()))
-                ) {
-                    applyMatchedCase.apply(this, [resultCase]);
-                } else if (inputType === "object")
-                    matchCasePattern.apply(this, [input, resultCase]);
-            }
+            if (checkIsSkipped()) return this;
+            var parsed = readCase(args);
+            // Case evaluated at once isn't compiled
+            if (
+                pendingCases.length === 0 &&
+                !checkIsPrioritized(parsed.caseOptions)
+            )
+                matchCondition(parsed);
+            else matchCompiled(compileCase(args));
             return this;
         },
 
+        with(input, value, caseOptions) {
+            return this.matchCase(input, matcher.value(value), caseOptions);
+        },
+
         selectCase(selector, caseMap) {
-            // Skip, if matched case was found
-            if (matchedCase) return this;
-            var caseKey = selector(getContext());
-            if (caseKey) {
+            matchCompiled(compileSelect(selector, caseMap));
+            return this;
+        },
+
+        // Selects a variant of the discriminated union by the tag field
+        matchTag(key, caseMap) {
+            matchCompiled(compileTag(key, caseMap));
+            return this;
+        },
+
+        // Switches to "all" mode, the case matched before is kept
+        matchAll() {
+            flushCases();
+            if (!isAllMode && isMatched) matchedCases.push(matchedCase);
+            isAllMode = true;
+            return this;
+        },
+
+        // Applied when no case was matched by the current matcher or branch
+        otherwise(resultCase) {
+            flushCases();
+            if (trace)
+                traceStep({
+                    step: "otherwise",
+                    case: unwrapCase(resultCase),
+                    matched: !isMatched,
+                });
+            if (!isMatched) setMatchedCase(unwrapCase(resultCase));
+            return this;
+        },
+
+        resolve(resultMap, fallback) {
+            flushCases();
+            var resolveCase = (caseKey) =>
+                resolveMapResult(
+                    resultMap,
+                    fallback,
+                    isMatched,
+                    caseKey,
+                    getContext(),
+                    bindings,
+                );
+            // In "all" mode, results of all matched cases are resolved in order
+            if (isAllMode)
+                return resultMap
+                    ? matchedCases.map(resolveCase)
+                    : matchedCases.slice();
+            if (!resultMap) return matchedCase;
+            return resolveCase(matchedCase);
+        },
+
+        exhaustive() {
+            flushCases();
+            if (!isMatched)
+                throw new MatcherNoMatchError(
+                    copyContext(getContext()),
+                    triedCases.slice(),
+                );
+            return getMatched();
+        },
+
+        resolveStrict(resultMap) {
+            var resolveCase = (caseKey) =>
+                resolveStrictResult(resultMap, caseKey, getContext(), bindings);
+            var matched = this.exhaustive();
+            return isAllMode ? matched.map(resolveCase) : resolveCase(matched);
+        },
+    };
+
+    return {
+        api,
+        // Resets the matcher state to evaluate a new context
+        reset(newContext) {
+            context = newContext;
+            matchedCase = undefined;
+            isMatched = false;
+            isAllMode = !!options && options.mode === "all";
+            clearList(matchedCases);
+            clearList(pendingCases);
+            clearList(pendingContexts);
+            bindings = emptyBindings;
+            clearList(triedCases);
+            clearList(contextStack);
+            contextStack.push(newContext || {});
+        },
+        // Matches a precompiled case
+        match: matchCompiled,
+    };
+}
+
+// Records the matcher chain built by the builder into a list of steps.
+// The last step is always terminal and returns the result of the chain.
+// Recorded calls are kept to serialize the chain into JSON rules.
+function recordSteps(builder) {
+    var steps = [];
+    var calls = [];
+    var isTerminated = false;
+    var recorder = {};
+    var record = (call, step, isTerminal) => {
+        calls.push(call);
+        steps.push(step);
+        isTerminated = !!isTerminal;
+        return recorder;
+    };
+    [
+        "withContext",
+        "mapContext",
+        "forward",
+        "pick",
+        "matchAll",
+        "otherwise",
+    ].forEach((method) => {
+        recorder[method] = (...args) =>
+            record({ method, args }, (core) => core.api[method](...args));
+    });
+    var terminalMethods = [
+        "unwrap",
+        "resolve",
+        "exhaustive",
+        "resolveStrict",
+        "explain",
+    ];
+    terminalMethods.forEach((method) => {
+        recorder[method] = (...args) =>
+            record({ method, args }, (core) => core.api[method](...args), true);
+    });
+    // Cases are compiled once, when the chain is recorded
+    var recordCase = (method, args, compiled) =>
+        record({ method, args }, (core) => core.match(compiled));
+    recorder.matchCase = (...args) =>
+        recordCase("matchCase", args, compileCase(args));
+    recorder.selectCase = (...args) =>
+        recordCase("selectCase", args, compileSelect(args[0], args[1]));
+    recorder.matchTag = (...args) =>
+        recordCase("matchTag", args, compileTag(args[0], args[1]));
+    recorder.with = (input, value, caseOptions) =>
+        recorder.matchCase(input, matcher.value(value), caseOptions);
+    builder(recorder);
+    if (!isTerminated) steps.push((core) => core.api.resolve());
+    return { steps, calls };
+}
+
+function compileSteps(steps) {
+    var sharedCore = createMatcherCore();
+    var isBusy = false;
+    return (context) => {
+        // Nested call (e.g. from a branch delegate) uses its own state
+        var core = isBusy ? createMatcherCore() : sharedCore;
+        var isShared = core === sharedCore;
+        if (isShared) isBusy = true;
+        try {
+            core.reset(context);
+            var result = undefined;
+            for (var i = 0; i < steps.length; i++) result = steps[i](core);
+            return result;
+        } finally {
+            if (isShared) isBusy = false;
+            // Release references to the evaluated context
+            core.reset(undefined);
+        }
+    };
+}
+
+// Keys are shallow equal, when they have the same own keys with the same values
+function checkIsShallowEqual(a, b) {
+    if (Object.is(a, b)) return true;
+    if (!a || !b || typeof a !== "object" || typeof b !== "object")
+        return false;
+    var keys = Object.keys(a);
+    return (
+        keys.length === Object.keys(b).length &&
+        keys.every((key) => hasOwn(b, key) && Object.is(a[key], b[key]))
+    );
+}
+
+// Caches results of the compiled chain by the key of the context.
+// The least recently used result is evicted, when the cache is full.
+// The cache is bounded by default, so new context objects don't leak.
+function memoizeCompiled(compiled, options) {
+    var getKey = (options && options.key) || ((context) => context);
+    var maxSize =
+        options && options.maxSize !== undefined ? options.maxSize : 100;
+    var isShallow = !!options && !!options.shallow;
+    if (!(maxSize >= 1))
+        throw new RangeError("Memoized matcher maxSize must be at least 1");
+    var cache = new Map();
+    var hits = 0;
+    var misses = 0;
+    // Shallow equal key is found by scanning the cached keys
+    var findKey = (key) => {
+        if (!isShallow || cache.has(key)) return key;
+        for (var cachedKey of cache.keys())
+            if (checkIsShallowEqual(cachedKey, key)) return cachedKey;
+        return key;
+    };
+    var memoized = (context) => {
+        var key = findKey(getKey(context));
+        var result = undefined;
+        if (cache.has(key)) {
+            hits++;
+            result = cache.get(key);
+            // Mark the key as recently used
+            cache.delete(key);
+        } else {
+            misses++;
+            result = compiled(context);
+            if (cache.size >= maxSize) cache.delete(cache.keys().next().value);
+        }
+        cache.set(key, result);
+        return result;
+    };
+    memoized.stats = () => ({ hits, misses, size: cache.size });
+    memoized.clear = () => {
+        cache.clear();
+        hits = 0;
+        misses = 0;
+    };
+    return memoized;
+}
+
+// Evaluates the compiled chain for each item of the collection.
+// The chain is compiled twice: to resolve results and to get the matched cases,
+// both reuse the shared matcher state between items.
+function createCollection(items, builder) {
+    var list = Array.from(items);
+    var chain = recordSteps(builder);
+    // Strict chain throws for the unmatched item in any mode
+    var lastCall = chain.calls[chain.calls.length - 1];
+    var isStrict =
+        !!lastCall &&
+        (lastCall.method === "exhaustive" ||
+            lastCall.method === "resolveStrict");
+    // In "all" mode the item is added to the group of each matched case
+    var isAllMode = chain.calls.some((call) => call.method === "matchAll");
+    var resolveItem = compileSteps(chain.steps);
+    var matchItem = compileSteps(
+        chain.steps
+            .slice(0, -1)
+            .concat((core) =>
+                isStrict ? core.api.exhaustive() : core.api.resolve(),
+            ),
+    );
+    var groupItems = (reduce) => {
+        var groups = new Map();
+        list.forEach((item) => {
+            var caseKeys = isAllMode ? matchItem(item) : [matchItem(item)];
+            if (caseKeys.length === 0) caseKeys = [undefined];
+            caseKeys.forEach((caseKey) =>
+                groups.set(caseKey, reduce(groups.get(caseKey), item)),
+            );
+        });
+        return groups;
+    };
+    return {
+        resolveAll: () => list.map((item) => resolveItem(item)),
+        groupBy: () =>
+            groupItems((group, item) =>
+                group ? (group.push(item), group) : [item],
+            ),
+        countBy: () => groupItems((count) => (count || 0) + 1),
+    };
+}
+
+export function matcher(context, options) {
+    var core = createMatcherCore(options);
+    core.reset(context);
+    return core.api;
+}
+
+// Async matcher queues each step and evaluates them one by one in order.
+// Predicates, comparators, selectors, mappers, delegates and resolvers
+// may return promises.
+function createAsyncMatcher(context) {
+    var matchedCase = undefined;
+    var isMatched = false;
+    var contextStack = [context || {}];
+    var bindings = emptyBindings;
+    var triedCases = [];
+    var pending = Promise.resolve();
+
+    // region: Context manipulation functions
+    var getContext = (index) =>
+        contextStack[contextStack.length - (index || 1)];
+    var updateContext = (newContext, index) =>
+        (contextStack[contextStack.length - (index || 1)] = newContext);
+    // endregion
+
+    var enqueue = (step) => ((pending = pending.then(step)), api);
+
+    async function applyMatchedCase(caseOrBranch, captured) {
+        var fields = takeContextFields(captured);
+        var prevBindings = bindings;
+        if (captured && Object.keys(captured).length > 0)
+            bindings = { ...bindings, ...captured };
+        if (typeof caseOrBranch === "function") {
+            // Branch forwarding, steps of branch are queued separately
+            var parentPending = pending;
+            pending = Promise.resolve();
+            contextStack.push(Object.assign(copyContext(getContext()), fields));
+            try {
+                await caseOrBranch(api, bindings);
+                // Wait for all steps queued by the branch
+                for (var branchPending; branchPending !== pending; )
+                    await (branchPending = pending);
+            } finally {
+                contextStack.pop();
+                pending = parentPending;
+            }
+            // Drop values captured by the branch that matched nothing
+            if (!isMatched) bindings = prevBindings;
+        } else {
+            // Set matched case
+            matchedCase = unwrapCase(caseOrBranch);
+            isMatched = true;
+        }
+    }
+
+    var api = {
+        withContext(ext) {
+            return enqueue(async () => {
+                var value = await ext;
+                if (value) updateContext({ ...getContext(), ...value });
+            });
+        },
+
+        mapContext(mapper) {
+            return enqueue(async () =>
+                updateContext(await mapper(getContext())),
+            );
+        },
+
+        forward(delegate) {
+            return enqueue(async () => {
+                if (!isMatched) await applyMatchedCase(delegate);
+            });
+        },
+
+        pick(picker) {
+            return enqueue(() => picker(getContext(), matchedCase, bindings));
+        },
+
+        unwrap(delegate) {
+            enqueue(async () => {
+                var isBranch = contextStack.length > 1;
+                var originContextIndex = isBranch ? 2 : 1;
+                var newContext = getContext();
+                if (delegate) {
+                    newContext = await delegate(
+                        newContext,
+                        isBranch ? getContext(originContextIndex) : context,
+                    );
+                }
+                return updateContext(newContext, originContextIndex);
+            });
+            return pending;
+        },
+
+        matchCase(...args) {
+            var compiled = compileCase(args, true);
+            var resultCase = compiled.resultCase;
+            return enqueue(async () => {
+                // Skip, if matched case was found
+                if (isMatched) return;
+                if (typeof resultCase !== "function")
+                    triedCases.push(unwrapCase(resultCase));
+                var captured = {};
+                if (await compiled.condition(getContext(), captured, bindings))
+                    await applyMatchedCase(resultCase, captured);
+            });
+        },
+
+        with(input, value) {
+            return api.matchCase(input, matcher.value(value));
+        },
+
+        selectCase(selector, caseMap) {
+            return enqueue(async () => {
+                // Skip, if matched case was found
+                if (isMatched) return;
+                var caseKey = await selector(getContext());
+                if (!checkIsSelected(caseKey)) return;
+                triedCases.push(caseKey);
                 if (caseMap) {
-                    caseKey = caseMap[caseKey];
-                    if (caseKey) applyMatchedCase.apply(this, [caseKey]);
+                    if (hasOwn(caseMap, caseKey))
+                        await applyMatchedCase(caseMap[caseKey]);
                 } else {
                     matchedCase = caseKey;
+                    isMatched = true;
                 }
-            }
-            return this;
+            });
+        },
+
+        matchTag(key, caseMap) {
+            return api.selectCase((ctx) => ctx[key], caseMap);
         },
 
         otherwise(resultCase) {
-            matchedCase ||= resultCase;
-            return this;
+            return enqueue(() => {
+                if (!isMatched) {
+                    matchedCase = unwrapCase(resultCase);
+                    isMatched = true;
+                }
+            });
         },
 
         resolve(resultMap, fallback) {
-            if (!resultMap) return matchedCase;
-            var resultOrDelegate = resultMap[matchedCase] || fallback;
-            return typeof resultOrDelegate === "function"
-                ? resultOrDelegate(getContext(), matchedCase)
-                : resultOrDelegate;
+            enqueue(() => {
+                if (!resultMap) return matchedCase;
+                return resolveMapResult(
+                    resultMap,
+                    fallback,
+                    isMatched,
+                    matchedCase,
+                    getContext(),
+                    bindings,
+                );
+            });
+            return pending;
+        },
+
+        exhaustive() {
+            enqueue(() => {
+                if (!isMatched)
+                    throw new MatcherNoMatchError(
+                        copyContext(getContext()),
+                        triedCases.slice(),
+                    );
+                return matchedCase;
+            });
+            return pending;
+        },
+
+        resolveStrict(resultMap) {
+            return api
+                .exhaustive()
+                .then((caseKey) =>
+                    resolveStrictResult(
+                        resultMap,
+                        caseKey,
+                        getContext(),
+                        bindings,
+                    ),
+                );
         },
     };
+    return api;
+}
+
+// region: Validation
+
+// Formats the value for the validation message
+function formatValue(value) {
+    if (typeof value === "string") return JSON.stringify(value);
+    if (typeof value === "bigint") return `${value}n`;
+    if (typeof value === "function") return "function";
+    if (value instanceof Date)
+        return isNaN(value.getTime()) ? "invalid date" : value.toISOString();
+    if (Array.isArray(value)) return "array";
+    if (value && typeof value === "object") return "object";
+    return String(value);
+}
+
+// Describes the value expected by the pattern
+function describePattern(pattern) {
+    pattern = toComparator(pattern);
+    if (checkIsComparator(pattern))
+        return typeof pattern.describe === "function"
+            ? pattern.describe()
+            : "matching value";
+    if (Array.isArray(pattern)) return "array";
+    if (checkIsPlainObject(pattern)) return "object";
+    return formatValue(pattern);
 }
 
+// Description of the type with constraints, e.g. "number >= 18 and <= 65"
+var describeType = (type, constraints) =>
+    [type].concat(constraints.filter(Boolean).join(" and ") || []).join(" ");
+
+var formatError = (error) =>
+    error.path.length > 0
+        ? `${error.path.join(".")}: ${error.message}`
+        : error.message;
+
+// Collects the errors of the value, that doesn't match the pattern
+function validatePattern(pattern, value, path, errors) {
+    var addError = (message) => errors.push({ path, message });
+    pattern = toComparator(pattern);
+    if (checkIsComparator(pattern)) {
+        var passed = pattern.test(value);
+        if (checkIsThenable(passed))
+            throw new TypeError("Async comparator can't be validated");
+        if (!passed)
+            addError(
+                (typeof pattern.explain === "function" &&
+                    pattern.explain(value)) ||
+                    `expected ${describePattern(pattern)}, got ${formatValue(value)}`,
+            );
+    } else if (Array.isArray(pattern)) {
+        validateArrayPattern(pattern, value, path, errors);
+    } else if (checkIsPlainObject(pattern)) {
+        if (value == null || typeof value !== "object")
+            addError(`expected object, got ${formatValue(value)}`);
+        else
+            Object.keys(pattern).forEach((key) =>
+                validatePattern(
+                    pattern[key],
+                    compileKeyGetter(key)(value),
+                    [...path, key],
+                    errors,
+                ),
+            );
+    } else if (value !== pattern) {
+        addError(`expected ${formatValue(pattern)}, got ${formatValue(value)}`);
+    }
+}
+
+// Head elements are validated from the start, tail elements from the end
+function validateArrayPattern(pattern, value, path, errors) {
+    var restIndex = pattern.findIndex(checkIsRest);
+    var minLength = restIndex < 0 ? pattern.length : pattern.length - 1;
+    if (!Array.isArray(value)) {
+        errors.push({
+            path,
+            message: `expected array, got ${formatValue(value)}`,
+        });
+    } else if (
+        restIndex < 0 ? value.length !== minLength : value.length < minLength
+    ) {
+        var expected = restIndex < 0 ? minLength : `at least ${minLength}`;
+        errors.push({
+            path,
+            message: `expected array of ${expected} items, got ${value.length}`,
+        });
+    } else {
+        var tailOffset = value.length - pattern.length;
+        pattern.forEach((item, i) => {
+            if (restIndex < 0 || i < restIndex)
+                validatePattern(item, value[i], [...path, i], errors);
+            else if (i > restIndex)
+                validatePattern(
+                    item,
+                    value[i + tailOffset],
+                    [...path, i + tailOffset],
+                    errors,
+                );
+            else if (item[restTag] !== undefined)
+                for (var j = i; j <= i + tailOffset; j++)
+                    validatePattern(
+                        item[restTag],
+                        value[j],
+                        [...path, j],
+                        errors,
+                    );
+        });
+    }
+}
+
+// endregion: Validation
+
+// region: JSON rules
+
+// Factories of comparators by their names in JSON rules
+var jsonComparators = {
+    $number: (options) => matcher.number(parseJSONOptions(options)),
+    $string: (options) => matcher.string(parseJSONOptions(options)),
+    $boolean: () => matcher.boolean(),
+    // The string is a shorthand of the RegExp source
+    $regex: (options) => {
+        if (typeof options === "string") options = { pattern: options };
+        if (!options || typeof options.pattern !== "string")
+            throw new TypeError(
+                `Invalid matcher rule: ${JSON.stringify({ $regex: options })}`,
+            );
+        return matcher.regex(new RegExp(options.pattern, options.flags), {
+            into: options.into,
+        });
+    },
+    $date: (options) => matcher.date(parseJSONOptions(options)),
+    $rest: (options) =>
+        matcher.rest(options === true ? undefined : parseJSONPattern(options)),
+    $array: (options) => {
+        options = parseJSONOptions(options);
+        if (options) {
+            options = { ...options };
+            if (options.every !== undefined)
+                options.every = parseJSONPattern(options.every);
+            if (options.some !== undefined)
+                options.some = parseJSONPattern(options.some);
+        }
+        return matcher.array(options);
+    },
+    $object: (shape) =>
+        matcher.object(parseJSONOptions(shape) && parseJSONPattern(shape)),
+    $nullish: () => matcher.nullish(),
+    $defined: () => matcher.defined(),
+    $any: () => matcher.any(),
+    $anyOf: (patterns) => matcher.anyOf(...patterns.map(parseJSONPattern)),
+    $allOf: (patterns) => matcher.allOf(...patterns.map(parseJSONPattern)),
+    $not: (pattern) => matcher.not(parseJSONPattern(pattern)),
+    $oneOf: (values) => matcher.oneOf(values),
+    $capture: (args) =>
+        Array.isArray(args)
+            ? matcher.capture(args[0], parseJSONPattern(args[1]))
+            : matcher.capture(args),
+};
+
+// Options of comparator may be omitted with `true`
+var parseJSONOptions = (options) =>
+    options && typeof options === "object" ? options : undefined;
+
+function parseJSONPattern(pattern) {
+    if (checkIsComparator(pattern)) return pattern;
+    if (Array.isArray(pattern)) return pattern.map(parseJSONPattern);
+    if (!checkIsPlainObject(pattern)) return pattern;
+    var keys = Object.keys(pattern);
+    if (keys.length === 1 && keys[0][0] === "$") {
+        var factory = hasOwn(jsonComparators, keys[0])
+            ? jsonComparators[keys[0]]
+            : undefined;
+        if (!factory) throw new TypeError(`Unknown comparator "${keys[0]}"`);
+        return factory(pattern[keys[0]]);
+    }
+    var result = {};
+    keys.forEach((key) => (result[key] = parseJSONPattern(pattern[key])));
+    return result;
+}
+
+// Result of the case or select map entry: case key or nested rules
+var parseJSONResult = (result) =>
+    typeof result === "string" ? result : parseJSONRules(result);
+
+function parseJSONCase(rule) {
+    if (!rule || typeof rule !== "object")
+        throw new TypeError(`Invalid matcher rule: ${JSON.stringify(rule)}`);
+    if ("forward" in rule) {
+        var delegate = parseJSONRules(rule.forward);
+        return (branch) => branch.forward(delegate);
+    }
+    if ("select" in rule) {
+        var key = rule.select;
+        var caseMap = undefined;
+        if (rule.map) {
+            caseMap = {};
+            Object.keys(rule.map).forEach(
+                (k) => (caseMap[k] = parseJSONResult(rule.map[k])),
+            );
+        }
+        return (branch) => branch.selectCase((ctx) => ctx[key], caseMap);
+    }
+    if ("match" in rule) {
+        var input =
+            typeof rule.match === "boolean"
+                ? rule.match
+                : parseJSONPattern(rule.match);
+        var resultCase =
+            "branch" in rule ? parseJSONRules(rule.branch) : rule.case;
+        var caseOptions =
+            rule.priority !== undefined
+                ? { priority: rule.priority }
+                : undefined;
+        return (branch) => branch.matchCase(input, resultCase, caseOptions);
+    }
+    throw new TypeError(`Invalid matcher rule: ${JSON.stringify(rule)}`);
+}
+
+// Creates a branch delegate from JSON rules
+function parseJSONRules(rules) {
+    if (!rules || typeof rules !== "object")
+        throw new TypeError("Matcher rules must be an object");
+    var steps = (rules.cases || []).map(parseJSONCase);
+    if (rules.otherwise !== undefined)
+        steps.push((branch) => branch.otherwise(rules.otherwise));
+    var delegate = (branch) =>
+        steps.reduce((current, step) => step(current), branch);
+    delegate.toJSON = () => rules;
+    return delegate;
+}
+
+// Pattern is serializable, when it contains only JSON values
+// and comparators that can be serialized (have "toJSON")
+function checkIsSerializable(value) {
+    if (value === null) return true;
+    switch (typeof value) {
+        case "string":
+        case "number":
+        case "boolean":
+            return true;
+        case "object":
+            // JSON rules have no wrapped values
+            if (checkIsValueCase(value)) return false;
+            if (typeof value.toJSON === "function")
+                return checkIsSerializable(value.toJSON());
+            if (checkIsComparator(value)) return false;
+            if (Array.isArray(value)) return value.every(checkIsSerializable);
+            return (
+                checkIsPlainObject(value) &&
+                Object.keys(value).every((key) =>
+                    checkIsSerializable(value[key]),
+                )
+            );
+    }
+    return false;
+}
+
+// Serializes a branch delegate created from JSON rules
+function serializeDelegate(delegate) {
+    if (typeof delegate === "function" && delegate.toJSON)
+        return delegate.toJSON();
+    throw new TypeError("Matcher branch delegate is not serializable");
+}
+
+// Serializes recorded calls of the matcher chain into JSON rules
+function serializeCalls(calls) {
+    var rules = { cases: [] };
+    calls.forEach((call) => {
+        var args = call.args;
+        if (rules.otherwise !== undefined && call.method !== "resolve")
+            throw new TypeError(
+                `Matcher step "${call.method}" after "otherwise" is not serializable`,
+            );
+        switch (call.method) {
+            case "matchCase":
+                if (checkIsGuardClause(args[1]))
+                    throw new TypeError(
+                        "Matcher guard clause is not serializable",
+                    );
+                if (
+                    typeof args[0] !== "boolean" &&
+                    !(args[0] && checkIsSerializable(args[0]))
+                )
+                    throw new TypeError("Matcher pattern is not serializable");
+                if (
+                    checkIsValueCase(args[1]) &&
+                    !checkIsSerializable(unwrapCase(args[1]))
+                )
+                    throw new TypeError(
+                        "Matcher case value is not serializable",
+                    );
+                var rule =
+                    typeof args[1] === "function"
+                        ? { match: args[0], branch: serializeDelegate(args[1]) }
+                        : { match: args[0], case: unwrapCase(args[1]) };
+                if (checkIsPrioritized(args[2]))
+                    rule.priority = args[2].priority;
+                rules.cases.push(rule);
+                return;
+            case "forward":
+                rules.cases.push({ forward: serializeDelegate(args[0]) });
+                return;
+            case "matchTag":
+                var map = {};
+                Object.keys(args[1]).forEach((tag) => {
+                    var resultCase = args[1][tag];
+                    if (typeof resultCase === "function")
+                        map[tag] = serializeDelegate(resultCase);
+                    else if (typeof resultCase === "string")
+                        map[tag] = resultCase;
+                    else
+                        throw new TypeError(
+                            `Matcher case of tag "${tag}" is not serializable`,
+                        );
+                });
+                rules.cases.push({ select: args[0], map });
+                return;
+            case "otherwise":
+                if (!checkIsSerializable(unwrapCase(args[0])))
+                    throw new TypeError(
+                        "Matcher case value is not serializable",
+                    );
+                rules.otherwise = unwrapCase(args[0]);
+                return;
+            case "resolve":
+                // Resolving of the matched case is default result
+                if (args.length === 0) return;
+        }
+        throw new TypeError(
+            `Matcher step "${call.method}" is not serializable`,
+        );
+    });
+    return rules;
+}
+
+// endregion: JSON rules
+
+// Numeric strings, accepted by the number comparator in coerce mode
+var numericString = /^\s*[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?\s*$/i;
+
+// Interval notation of the range comparator, e.g. "[0, 10)"
+var rangePattern = /^\s*([[(])\s*([^,\s]*)\s*,\s*([^\])\s]*)\s*([\])])\s*$/;
+
+// Checks of the string formats, known by the string comparator
+var stringFormats = {
+    "email": (value) => /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/.test(value),
+    "uuid": (value) =>
+        /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
+            value,
+        ),
+    "url": (value) => /^[a-z][a-z\d+.-]*:\/\/[^\s/?#]+[^\s]*$/i.test(value),
+    "iso-date": (value) => {
+        var parts =
+            /^(\d{4})-(\d{2})-(\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/.exec(
+                value,
+            );
+        if (!parts || isNaN(Date.parse(value))) return false;
+        // Date overflows the invalid day into the next month
+        var date = new Date(Date.UTC(+parts[1], +parts[2] - 1, +parts[3]));
+        return date.getUTCDate() === +parts[3];
+    },
+    "semver": (value) =>
+        /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(-(0|[1-9]\d*|\d*[a-z-][\da-z-]*)(\.(0|[1-9]\d*|\d*[a-z-][\da-z-]*))*)?(\+[\da-z-]+(\.[\da-z-]+)*)?$/i.test(
+            value,
+        ),
+    "slug": (value) => /^[a-z\d]+(-[a-z\d]+)*$/.test(value),
+};
+
 Object.assign(matcher, {
-    number: (options) => ({
-        test: (value) => {
-            if (typeof value !== "number") return false;
-            if (options) {
+    async: createAsyncMatcher,
+
+    define: (builder) => {
+        var chain = recordSteps(builder);
+        return {
+            compile: () => compileSteps(chain.steps),
+            memoize: (options) =>
+                memoizeCompiled(compileSteps(chain.steps), options),
+            toJSON: () => serializeCalls(chain.calls),
+        };
+    },
+
+    fromJSON: (rules) => parseJSONRules(rules),
+
+    each: createCollection,
+
+    value: (value) => Object.freeze({ [valueTag]: value }),
+
+    schema: createSchemaComparator,
+
+    where: (pattern, guard) => {
+        var test = compilePattern(pattern, true);
+        return {
+            [whereTag]: pattern,
+            test: (value, bindings, results) => {
+                // Values captured by the pattern are visible to the guard
+                var captured = bindings || {};
+                return thenTest(
+                    test(value, captured, results),
+                    (passed) =>
+                        !!passed &&
+                        thenTest(
+                            guard(value, captured),
+                            (guardPassed) => !!guardPassed,
+                        ),
+                );
+            },
+            describe: () =>
+                `${describePattern(pattern)} passing ${guard.name || "the guard"}`,
+            // Reports the mismatched fields of the pattern, before the guard
+            explain: (value) => {
+                var errors = [];
+                validatePattern(pattern, value, [], errors);
+                return errors.map(formatError).join("; ") || undefined;
+            },
+        };
+    },
+
+    guard: createGuardComparator,
+
+    at: (selector, pattern) => {
+        var test = compilePattern(pattern, true);
+        // Errors of the selector aren't caught, missing intermediate value
+        // is handled by the selector itself (e.g. with optional chaining)
+        return {
+            test: (value, bindings) => test(selector(value), bindings),
+            describe: () =>
+                `${describePattern(pattern)} at ${selector.name || "the selected value"}`,
+        };
+    },
+
+    validate: (value, pattern) => {
+        var errors = [];
+        validatePattern(pattern, value, [], errors);
+        return { valid: errors.length === 0, errors };
+    },
+
+    anyOf: (...patterns) => {
+        var testers = patterns.map((pattern) => compilePattern(pattern, true));
+        return {
+            test: (value, bindings) =>
+                testSome(testers.length, (i) => {
+                    // Keep only values captured by the matched alternative
+                    var captured = {};
+                    return thenTest(testers[i](value, captured), (passed) => {
+                        if (passed && bindings)
+                            Object.assign(bindings, captured);
+                        return passed;
+                    });
+                }),
+            describe: () => patterns.map(describePattern).join(" or "),
+            toJSON: () => ({ $anyOf: patterns }),
+        };
+    },
+
+    allOf: (...patterns) => {
+        var testers = patterns.map((pattern) => compilePattern(pattern, true));
+        return {
+            test: (value, bindings) =>
+                testEvery(testers.length, (i) => testers[i](value, bindings)),
+            describe: () => patterns.map(describePattern).join(" and "),
+            toJSON: () => ({ $allOf: patterns }),
+        };
+    },
+
+    not: (pattern) => {
+        var test = compilePattern(pattern, true);
+        return {
+            test: (value) => thenTest(test(value), (passed) => !passed),
+            describe: () => `not ${describePattern(pattern)}`,
+            toJSON: () => ({ $not: pattern }),
+        };
+    },
+
+    oneOf: (values) => ({
+        test: (value) => values.includes(value),
+        describe: () => `one of ${values.map(formatValue).join(", ")}`,
+        toJSON: () => ({ $oneOf: values }),
+    }),
+
+    number: (options) => {
+        options = options || {};
+        if (
+            options.multipleOf !== undefined &&
+            !(Math.abs(options.multipleOf) > 0)
+        )
+            throw new RangeError("Number multipleOf must not be zero");
+        return {
+            test: (value) => {
+                if (options.coerce && typeof value === "string") {
+                    if (!numericString.test(value)) return false;
+                    value = Number(value);
+                }
+                if (typeof value !== "number") return false;
                 if (options.min !== undefined && value < options.min)
                     return false;
                 if (options.max !== undefined && value > options.max)
                     return false;
+                if (
+                    options.exclusiveMin !== undefined &&
+                    !(value > options.exclusiveMin)
+                )
+                    return false;
+                if (
+                    options.exclusiveMax !== undefined &&
+                    !(value < options.exclusiveMax)
+                )
+                    return false;
                 if (options.integer && !Number.isInteger(value)) return false;
+                if (options.safeInteger && !Number.isSafeInteger(value))
+                    return false;
                 if (options.finite && !Number.isFinite(value)) return false;
-            }
-            return true;
-        },
-    }),
+                if (options.notNaN && Number.isNaN(value)) return false;
+                if (options.positive && !(value > 0)) return false;
+                if (options.negative && !(value < 0)) return false;
+                if (options.nonZero && value === 0) return false;
+                if (options.multipleOf !== undefined) {
+                    // Remainder of the integer divisor is exact, remainder of
+                    // the float divisor tolerates the rounding error scaled to it
+                    var divisor = Math.abs(options.multipleOf);
+                    var remainder = Math.abs(value % divisor);
+                    var tolerance = Number.isInteger(divisor)
+                        ? 0
+                        : divisor * 1e-9;
+                    if (
+                        !(Math.min(remainder, divisor - remainder) <= tolerance)
+                    )
+                        return false;
+                }
+                if (options.oneOf && !options.oneOf.includes(value))
+                    return false;
+                return true;
+            },
+            describe: () =>
+                describeType(
+                    (options.finite ? "finite " : "") +
+                        (options.positive ? "positive " : "") +
+                        (options.negative ? "negative " : "") +
+                        (options.safeInteger
+                            ? "safe integer"
+                            : options.integer
+                              ? "integer"
+                              : "number"),
+                    [
+                        options.min !== undefined && `>= ${options.min}`,
+                        options.exclusiveMin !== undefined &&
+                            `> ${options.exclusiveMin}`,
+                        options.max !== undefined && `<= ${options.max}`,
+                        options.exclusiveMax !== undefined &&
+                            `< ${options.exclusiveMax}`,
+                        options.multipleOf !== undefined &&
+                            `multiple of ${options.multipleOf}`,
+                        options.nonZero && "not 0",
+                        options.notNaN && "not NaN",
+                        options.oneOf &&
+                            `one of ${options.oneOf.map(formatValue).join(", ")}`,
+                        options.coerce && "including numeric strings",
+                    ],
+                ),
+            toJSON: () => ({ $number: options }),
+        };
+    },
 
-    string: (options) => ({
-        test: (value) => {
-            if (typeof value !== "string") return false;
-            if (options) {
+    range: (interval) => {
+        var parts = rangePattern.exec(interval);
+        if (!parts) throw new TypeError(`Invalid range "${interval}"`);
+        var options = {};
+        // Empty or infinite bound means no limit
+        var min = parts[2] ? Number(parts[2]) : -Infinity;
+        var max = parts[3] ? Number(parts[3]) : Infinity;
+        if (Number.isNaN(min) || Number.isNaN(max) || min > max)
+            throw new TypeError(`Invalid range "${interval}"`);
+        if (min !== -Infinity)
+            options[parts[1] === "[" ? "min" : "exclusiveMin"] = min;
+        if (max !== Infinity)
+            options[parts[4] === "]" ? "max" : "exclusiveMax"] = max;
+        return matcher.number(options);
+    },
+
+    string: (options) => {
+        options = options || {};
+        var format = options.format;
+        if (format !== undefined && !hasOwn(stringFormats, format))
+            throw new TypeError(`Unknown string format "${format}"`);
+        var fold = (value) =>
+            options.ignoreCase ? value.toLowerCase() : value;
+        var pattern = options.pattern;
+        if (typeof pattern === "string") {
+            // String pattern is a source of the regular expression
+            var flags = options.flags || "";
+            if (options.ignoreCase && !flags.includes("i")) flags += "i";
+            pattern = new RegExp(pattern, flags);
+        }
+        var oneOf = options.oneOf && options.oneOf.map(fold);
+        return {
+            test: (value) => {
+                if (typeof value !== "string") return false;
+                if (options.trim) value = value.trim();
+                if (options.nonEmpty && value.length === 0) return false;
                 if (
                     options.minLen !== undefined &&
                     value.length < options.minLen
@@ -162,16 +1909,267 @@ Object.assign(matcher, {
                     value.length > options.maxLen
                 )
                     return false;
+                if (pattern !== undefined) {
+                    if (!(pattern instanceof RegExp)) return false;
+                    // Global and sticky patterns are matched from the start
+                    pattern.lastIndex = 0;
+                    if (!pattern.test(value)) return false;
+                }
+                if (format !== undefined && !stringFormats[format](value))
+                    return false;
+                var folded = fold(value);
                 if (
-                    options.pattern !== undefined &&
-                    !(
-                        options.pattern instanceof RegExp &&
-                        options.pattern.test(value)
-                    )
+                    options.startsWith !== undefined &&
+                    !folded.startsWith(fold(options.startsWith))
+                )
+                    return false;
+                if (
+                    options.endsWith !== undefined &&
+                    !folded.endsWith(fold(options.endsWith))
+                )
+                    return false;
+                if (
+                    options.includes !== undefined &&
+                    !folded.includes(fold(options.includes))
+                )
+                    return false;
+                if (oneOf && !oneOf.includes(folded)) return false;
+                return true;
+            },
+            describe: () =>
+                describeType((options.trim ? "trimmed " : "") + "string", [
+                    options.nonEmpty && "non-empty",
+                    options.minLen !== undefined &&
+                        `with length >= ${options.minLen}`,
+                    options.maxLen !== undefined &&
+                        `with length <= ${options.maxLen}`,
+                    pattern !== undefined && `matching ${pattern}`,
+                    format !== undefined && `in ${format} format`,
+                    options.startsWith !== undefined &&
+                        `starting with ${formatValue(options.startsWith)}`,
+                    options.endsWith !== undefined &&
+                        `ending with ${formatValue(options.endsWith)}`,
+                    options.includes !== undefined &&
+                        `containing ${formatValue(options.includes)}`,
+                    oneOf &&
+                        `one of ${options.oneOf.map(formatValue).join(", ")}`,
+                    options.ignoreCase && "ignoring case",
+                ]),
+            toJSON: () => {
+                if (!(options.pattern instanceof RegExp))
+                    return { $string: options };
+                // RegExp is serialized as source and flags
+                var json = { ...options, pattern: options.pattern.source };
+                if (options.pattern.flags) json.flags = options.pattern.flags;
+                return { $string: json };
+            },
+        };
+    },
+
+    boolean: () => ({
+        test: (value) => typeof value === "boolean",
+        describe: () => "boolean",
+        toJSON: () => ({ $boolean: true }),
+    }),
+
+    bigint: (options) => ({
+        test: (value) => {
+            if (typeof value !== "bigint") return false;
+            if (options) {
+                if (options.min !== undefined && value < options.min)
+                    return false;
+                if (options.max !== undefined && value > options.max)
+                    return false;
+            }
+            return true;
+        },
+        describe: () =>
+            options
+                ? describeType("bigint", [
+                      options.min !== undefined && `>= ${options.min}n`,
+                      options.max !== undefined && `<= ${options.max}n`,
+                  ])
+                : "bigint",
+    }),
+
+    date: (options) => ({
+        test: (value) => {
+            if (!(value instanceof Date) || isNaN(value.getTime()))
+                return false;
+            if (options) {
+                if (
+                    options.before !== undefined &&
+                    !(value.getTime() < new Date(options.before).getTime())
+                )
+                    return false;
+                if (
+                    options.after !== undefined &&
+                    !(value.getTime() > new Date(options.after).getTime())
                 )
                     return false;
             }
             return true;
         },
+        describe: () =>
+            options
+                ? describeType("date", [
+                      options.before !== undefined &&
+                          `before ${formatValue(new Date(options.before))}`,
+                      options.after !== undefined &&
+                          `after ${formatValue(new Date(options.after))}`,
+                  ])
+                : "date",
+        toJSON: () => ({ $date: options || {} }),
+    }),
+
+    array: (options) => {
+        var everyItem =
+            options && options.every !== undefined
+                ? compilePattern(options.every, true)
+                : undefined;
+        var someItem =
+            options && options.some !== undefined
+                ? compilePattern(options.some, true)
+                : undefined;
+        return {
+            test: (value) => {
+                if (!Array.isArray(value)) return false;
+                if (options) {
+                    if (
+                        options.minLen !== undefined &&
+                        value.length < options.minLen
+                    )
+                        return false;
+                    if (
+                        options.maxLen !== undefined &&
+                        value.length > options.maxLen
+                    )
+                        return false;
+                }
+                return thenTest(
+                    !everyItem ||
+                        testEvery(value.length, (i) => everyItem(value[i])),
+                    (passed) =>
+                        !!passed &&
+                        (!someItem ||
+                            testSome(value.length, (i) => someItem(value[i]))),
+                );
+            },
+            describe: () =>
+                options
+                    ? describeType("array", [
+                          options.minLen !== undefined &&
+                              `with length >= ${options.minLen}`,
+                          options.maxLen !== undefined &&
+                              `with length <= ${options.maxLen}`,
+                          everyItem && `of ${describePattern(options.every)}`,
+                          someItem &&
+                              `including ${describePattern(options.some)}`,
+                      ])
+                    : "array",
+            toJSON: () => ({ $array: options || {} }),
+        };
+    },
+
+    object: (shape) => {
+        var testShape = shape ? compileObjectPattern(shape, true) : () => true;
+        return {
+            test: (value, bindings) =>
+                !!value &&
+                typeof value === "object" &&
+                !Array.isArray(value) &&
+                testShape(value, bindings),
+            describe: () => "object",
+            // Reports the fields of the object, that don't match the shape
+            explain: (value) => {
+                var errors = [];
+                if (shape && value && typeof value === "object")
+                    validatePattern(shape, value, [], errors);
+                return errors.map(formatError).join("; ") || undefined;
+            },
+            toJSON: () => ({ $object: shape || true }),
+        };
+    },
+
+    instanceOf: (type) => ({
+        test: (value) => value instanceof type,
+        describe: () => `instance of ${type.name || "class"}`,
+    }),
+
+    nullish: () => ({
+        test: (value) => value == null,
+        describe: () => "null or undefined",
+        toJSON: () => ({ $nullish: true }),
+    }),
+
+    defined: () => ({
+        test: (value) => value !== undefined,
+        describe: () => "defined value",
+        toJSON: () => ({ $defined: true }),
+    }),
+
+    any: () => ({
+        test: () => true,
+        describe: () => "any value",
+        toJSON: () => ({ $any: true }),
     }),
+
+    rest: (pattern) => {
+        var marker = {
+            [restTag]: pattern,
+            // Spreading of the marker adds it into the array pattern
+            [Symbol.iterator]: () => [marker][Symbol.iterator](),
+            toJSON: () => ({ $rest: pattern === undefined ? true : pattern }),
+        };
+        return marker;
+    },
+
+    regex: (pattern, options) => {
+        if (typeof pattern === "string") pattern = new RegExp(pattern);
+        var into = options && options.into;
+        return {
+            test: (value, bindings) => {
+                if (typeof value !== "string") return false;
+                // Global and sticky patterns are matched from the start
+                pattern.lastIndex = 0;
+                var match = pattern.exec(value);
+                if (!match) return false;
+                if (bindings && match.groups) {
+                    var groups = { ...match.groups };
+                    bindings[contextTag] = Object.assign(
+                        bindings[contextTag] || {},
+                        into ? { [into]: groups } : groups,
+                    );
+                }
+                return true;
+            },
+            describe: () => `string matching ${pattern}`,
+            toJSON: () => {
+                var json = { pattern: pattern.source };
+                if (pattern.flags) json.flags = pattern.flags;
+                if (into) json.into = into;
+                return { $regex: json };
+            },
+        };
+    },
+
+    capture: (name, pattern) => {
+        var test =
+            pattern !== undefined ? compilePattern(pattern, true) : undefined;
+        return {
+            test: (value, bindings) =>
+                thenTest(!test || test(value, bindings), (passed) => {
+                    if (passed && bindings) bindings[name] = value;
+                    return passed;
+                }),
+            describe: () =>
+                pattern !== undefined ? describePattern(pattern) : "any value",
+            toJSON: () => ({
+                $capture: pattern !== undefined ? [name, pattern] : name,
+            }),
+        };
+    },
 });
+
+// Comparator of array, that contains an item matched by the pattern
+matcher.array.includes = (pattern) => matcher.array({ some: pattern });
@@ -0,0 +1,166 @@
+// Type tests, checked by "tsc" in strict mode (npm run test:types)
+import { matcher } from "./index";
+
+type Equal<A, B> =
+    (<T>() => T extends A ? 1 : 2) extends <T>() => T extends B ? 1 : 2
+        ? true
+        : false;
+const expectType = <A, B>(_: Equal<A, B>): void => undefined;
+
+type Circle = { kind: "circle"; r: number };
+type Rect = { kind: "rect"; w: number };
+type Shape = Circle | Rect;
+declare const shape: Shape;
+
+// region: Narrowed branch context
+{
+    // Arrange ---
+    const result = matcher<Shape>(shape)
+        .matchCase({ kind: "circle" }, (branch) =>
+            branch.matchCase((ctx) => ctx.r > 10, "large-circle"),
+        )
+        .resolve();
+
+    // Assert ---
+    expectType<typeof result, "large-circle" | undefined>(true);
+}
+
+{
+    // Arrange ---
+    const result = matcher<Shape>(shape)
+        .matchCase(
+            (ctx): ctx is Circle => ctx.kind === "circle",
+            (branch) => branch.matchCase((ctx) => ctx.r > 10, "large"),
+        )
+        .resolve();
+
+    // Assert ---
+    expectType<typeof result, "large" | undefined>(true);
+}
+
+{
+    // Arrange ---
+    const result = matcher({ id: 1 as number | string })
+        .matchCase({ id: matcher.number() }, (branch) =>
+            branch.matchCase((ctx) => ctx.id > 1, "positive"),
+        )
+        .otherwise("other")
+        .resolve();
+
+    // Assert ---
+    expectType<typeof result, "positive" | "other" | undefined>(true);
+}
+
+{
+    // Arrange ---
+    const context = {
+        id: 1 as unknown,
+        meta: { tag: "a" } as { tag: string | number } | null,
+    };
+
+    // Act ---
+    const result = matcher(context)
+        .matchCase(
+            { id: matcher.number(), meta: { tag: matcher.string() } },
+            (branch) =>
+                branch
+                    .matchCase(
+                        (ctx) => ctx.id.toFixed() === ctx.meta.tag,
+                        "same",
+                    )
+                    .otherwise("different"),
+        )
+        .resolve();
+
+    // Assert ---
+    expectType<typeof result, "same" | "different" | undefined>(true);
+}
+
+{
+    // Arrange ---
+    const result = matcher({ age: 19, rights: "free" })
+        .matchCase(
+            (ctx) => ctx.age >= 16,
+            (branch) =>
+                branch
+                    .matchCase((ctx) => ctx.rights === "pro", "full")
+                    .otherwise("basic"),
+        )
+        .otherwise("child")
+        .resolve();
+
+    // Assert ---
+    expectType<typeof result, "full" | "basic" | "child" | undefined>(true);
+}
+
+{
+    // Arrange ---
+    const result = matcher<Shape>(shape)
+        .matchCase({ kind: "circle" }, (branch) =>
+            // @ts-expect-error - "w" is not a field of the narrowed context
+            branch.matchCase((ctx) => ctx.w > 10, "wide"),
+        )
+        .resolve();
+
+    void result;
+}
+{
+    // Arrange ---
+    const result = matcher
+        .async<Shape>(shape)
+        .matchCase({ kind: "circle" }, (branch) =>
+            branch.matchCase(async (ctx) => ctx.r > 10, "large-circle"),
+        )
+        .resolve();
+
+    // Assert ---
+    expectType<typeof result, Promise<"large-circle" | undefined>>(true);
+}
+// endregion: Narrowed branch context
+
+// region: Predicates in patterns
+{
+    // Arrange ---
+    const isEmail = (value: unknown): value is `${string}@${string}` =>
+        typeof value === "string" && value.includes("@");
+    const context = { contact: "bob@example.com" as string | number };
+
+    // Act ---
+    const result = matcher(context)
+        .matchCase({ contact: isEmail }, (branch) =>
+            branch.matchCase((ctx) => ctx.contact.endsWith(".com"), "com"),
+        )
+        .resolve();
+
+    // Assert ---
+    expectType<typeof result, "com" | undefined>(true);
+}
+
+{
+    // Arrange ---
+    const onClick = (): void => undefined;
+    const context = { handler: onClick as () => void, count: 1 };
+
+    // Act ---
+    const result = matcher(context)
+        .matchCase({ handler: matcher.value(onClick) }, "click")
+        .matchCase({ count: (count) => count > 0 }, "counted")
+        .resolve();
+
+    // Assert ---
+    expectType<typeof result, "click" | "counted" | undefined>(true);
+}
+
+{
+    // Arrange ---
+    const context = { count: 1 };
+
+    // Act ---
+    const result = matcher(context)
+        // @ts-expect-error - the predicate must accept the field value
+        .matchCase({ count: (count: string) => count === "1" }, "one")
+        .resolve();
+
+    void result;
+}
+// endregion: Predicates in patterns
@@ -1,5 +1,5 @@
 import { vi, describe, test, expect } from "vitest";
-import { matcher } from "./index";
+import { matcher, MatcherNoMatchError } from "./index";
 
 var trueCase = "trueCase";
 var falseCase = "falseCase";
@@ -168,6 +168,17 @@ describe("Matcher", () => {
                 // Assert ----
                 expect(result).toBe("case1");
             });
+
+            test("WHEN: Case matched, THEN: delegate is not called", () => {
+                // Arrange -----
+                var delegate = vi.fn((branch) => branch.otherwise("case2"));
+                matcher({ value: 42 })
+                    .matchCase({ value: 42 }, "case1")
+                    .forward(delegate);
+
+                // Assert ----
+                expect(delegate).not.toHaveBeenCalled();
+            });
         });
     });
 
@@ -368,6 +379,90 @@ describe("Matcher", () => {
                     // Assert -----------
                     expect(result).toBe(falseCase);
                 });
+
+                test.each([
+                    [{ user: { role: "admin" } }, trueCase],
+                    [{ user: { role: "guest" } }, falseCase],
+                    [{ user: null }, falseCase],
+                    [{ user: "admin" }, falseCase],
+                    [{}, falseCase],
+                ])("WHEN: pass nested pattern for %o", (ctx, expectedCase) => {
+                    // Arrange ---------
+                    var m = matcher(ctx)
+                        .matchCase({ user: { role: "admin" } }, trueCase)
+                        .otherwise(falseCase);
+
+                    // Act --------------
+                    var result = m.resolve();
+
+                    // Assert -----------
+                    expect(result).toBe(expectedCase);
+                });
+
+                test.each([
+                    [{ req: { user: { age: 27 } } }, trueCase],
+                    [{ req: { user: { age: 16 } } }, falseCase],
+                ])(
+                    "WHEN: pass comparator in deep pattern for %o",
+                    (ctx, expectedCase) => {
+                        // Arrange ---------
+                        var m = matcher(ctx)
+                            .matchCase(
+                                {
+                                    req: {
+                                        user: {
+                                            age: matcher.number({ min: 18 }),
+                                        },
+                                    },
+                                },
+                                trueCase,
+                            )
+                            .otherwise(falseCase);
+
+                        // Act --------------
+                        var result = m.resolve();
+
+                        // Assert -----------
+                        expect(result).toBe(expectedCase);
+                    },
+                );
+
+                test.each([
+                    [["users", 42], trueCase],
+                    [["users", "42"], falseCase],
+                    [["users"], falseCase],
+                    [["users", 42, "posts"], falseCase],
+                    ["users", falseCase],
+                ])("WHEN: pass array pattern for %o", (path, expectedCase) => {
+                    // Arrange ---------
+                    var m = matcher({ path })
+                        .matchCase(
+                            { path: ["users", matcher.number()] },
+                            trueCase,
+                        )
+                        .otherwise(falseCase);
+
+                    // Act --------------
+                    var result = m.resolve();
+
+                    // Assert -----------
+                    expect(result).toBe(expectedCase);
+                });
+
+                test("WHEN: pass non-plain object in pattern", () => {
+                    // Arrange ---------
+                    var date = new Date(0);
+                    var m = matcher({ date: new Date(0) })
+                        .matchCase({ date }, trueCase)
+                        .otherwise(falseCase);
+
+                    // Act --------------
+                    var result = m.resolve();
+
+                    // Assert -----------
+                    // Instances are compared by reference
+                    expect(result).toBe(falseCase);
+                });
             });
         });
 
@@ -471,7 +566,7 @@ describe("Matcher", () => {
                     .resolve({ A: caseResolver, B: falseCase });
 
                 // Assert -------
-                expect(caseResolver).toHaveBeenCalledWith(ctx, "A");
+                expect(caseResolver).toHaveBeenCalledWith(ctx, "A", {});
                 expect(result).toBe(expectedResult);
             });
 
@@ -500,11 +595,138 @@ describe("Matcher", () => {
                 var result = m.otherwise("A").resolve({}, caseResolver);
 
                 // Assert -------
-                expect(caseResolver).toHaveBeenCalledWith(ctx, "A");
+                expect(caseResolver).toHaveBeenCalledWith(ctx, "A", {});
                 expect(result).toBe(expectedResult);
             });
         });
 
+        describe("Exhaustive", () => {
+            test("WHEN: Case matched", () => {
+                // Arrange --------
+                var m = matcher({ role: "admin" })
+                    .matchCase({ role: "guest" }, "guest")
+                    .matchCase({ role: "admin" }, "admin");
+
+                // Act ------------
+                var result = m.exhaustive();
+
+                // Assert ---------
+                expect(result).toBe("admin");
+            });
+
+            test("WHEN: No case matched", () => {
+                // Arrange --------
+                var ctx = { role: "user", type: "bar" };
+                var m = matcher(ctx)
+                    .matchCase({ role: "guest" }, "guest")
+                    .matchCase({ role: "admin" }, (b) =>
+                        b.matchCase(true, "admin"),
+                    )
+                    .selectCase((c) => c.type, { foo: "foo" });
+
+                // Act ------------
+                var error;
+                try {
+                    m.exhaustive();
+                } catch (e) {
+                    error = e;
+                }
+
+                // Assert ---------
+                expect(error).toBeInstanceOf(MatcherNoMatchError);
+                expect(error.message).toBe(
+                    "No case matched (tried: guest, bar)",
+                );
+                expect(error.context).toEqual(ctx);
+                expect(error.context).not.toBe(ctx);
+                expect(error.cases).toEqual(["guest", "bar"]);
+            });
+
+            test("WHEN: Resolve strict result", () => {
+                // Arrange --------
+                var ctx = { id: 42 };
+                var resolver = vi.fn(() => 1);
+                var m = matcher(ctx).matchCase({ id: 42 }, "A").otherwise("B");
+
+                // Act ------------
+                var result = m.resolveStrict({ A: resolver, B: 2 });
+
+                // Assert ---------
+                expect(result).toBe(1);
+                expect(resolver).toHaveBeenCalledWith(ctx, "A", {});
+            });
+
+            test("WHEN: Resolve strict falsy result", () => {
+                // Arrange --------
+                var m = matcher().otherwise("A");
+
+                // Act ------------
+                var result = m.resolveStrict({ A: 0 });
+
+                // Assert ---------
+                expect(result).toBe(0);
+            });
+
+            test("WHEN: Resolve strict result of missing case", () => {
+                // Arrange --------
+                var m = matcher().otherwise("A");
+
+                // Act ------------
+                var error = () => m.resolveStrict({ B: 1 });
+
+                // Assert ---------
+                expect(error).toThrow(RangeError);
+            });
+
+            test("WHEN: Resolve strict result without match", () => {
+                // Arrange --------
+                var m = matcher().matchCase(false, "A");
+
+                // Act ------------
+                var error = () => m.resolveStrict({ A: 1 });
+
+                // Assert ---------
+                expect(error).toThrow(MatcherNoMatchError);
+            });
+
+            test("WHEN: Async matcher without match", async () => {
+                // Arrange --------
+                var m = matcher.async().matchCase(async () => false, "A");
+
+                // Act ------------
+                var result = m.exhaustive();
+
+                // Assert ---------
+                await expect(result).rejects.toThrow(MatcherNoMatchError);
+            });
+
+            test("WHEN: Async matcher resolve strict", async () => {
+                // Arrange --------
+                var m = matcher.async().matchCase(async () => true, "A");
+
+                // Act ------------
+                var result = m.resolveStrict({ A: async () => 42 });
+
+                // Assert ---------
+                expect(await result).toBe(42);
+            });
+
+            test("WHEN: Compiled chain ends with exhaustive", () => {
+                // Arrange --------
+                var compiled = matcher
+                    .define((m) => m.matchCase({ id: 1 }, "A").exhaustive())
+                    .compile();
+
+                // Act ------------
+                var result = compiled({ id: 1 });
+                var error = () => compiled({ id: 2 });
+
+                // Assert ---------
+                expect(result).toBe("A");
+                expect(error).toThrow(MatcherNoMatchError);
+            });
+        });
+
         describe("Unwrap context", () => {
             describe("Root", () => {
                 test("WHEN: Unwrap new matcher without context", () => {
@@ -623,6 +845,25 @@ describe("Matcher", () => {
                     expect(result).toEqual({ foo: 11, bar: 22, d: 1 });
                 });
 
+                test("WHEN: Unwrap context of the case branch", () => {
+                    // Arrange ---------
+                    var ctxOrigin = { foo: 11 };
+                    var ctxExt = { bar: 22 };
+                    var m = matcher(ctxOrigin)
+                        .matchCase({ foo: 11 }, (b) =>
+                            b.withContext(ctxExt).unwrap(),
+                        )
+                        .matchCase({ bar: 22 }, trueCase);
+
+                    // Act -------------
+                    var result = m.resolve();
+                    var context = m.unwrap();
+
+                    // Assert ----------
+                    expect(result).toBe(trueCase);
+                    expect(context).toEqual({ foo: 11, bar: 22 });
+                });
+
                 test("WHEN: Do not unwrap branch context", () => {
                     // Arrange ---------
                     var ctxOrigin = { foo: 11 };
@@ -637,236 +878,3665 @@ describe("Matcher", () => {
                     // Assert ----------
                     expect(result).toEqual(ctxOrigin);
                 });
+
+                test("WHEN: Map context unwrapped by the case branch", () => {
+                    // Arrange ---------
+                    var picker = vi.fn();
+                    var m = matcher({ v: 1 })
+                        .matchCase(true, (b) =>
+                            b.withContext({ w: 2 }).unwrap(),
+                        )
+                        .mapContext((c) => ({ ...c, m: 3 }));
+
+                    // Act -------------
+                    m.pick(picker);
+
+                    // Assert ----------
+                    expect(picker).toHaveBeenCalledWith(
+                        { v: 1, w: 2, m: 3 },
+                        undefined,
+                        {},
+                    );
+                });
+
+                test("WHEN: Forward after context unwrapped by the case branch", () => {
+                    // Arrange ---------
+                    var m = matcher({ v: 1 })
+                        .matchCase(true, (b) =>
+                            b.withContext({ w: 2 }).unwrap(),
+                        )
+                        .forward((b) => b.otherwise("z"));
+
+                    // Act -------------
+                    var result = m.resolve();
+                    var context = m.unwrap();
+
+                    // Assert ----------
+                    expect(result).toBe("z");
+                    expect(context).toEqual({ v: 1, w: 2 });
+                });
             });
         });
     });
 
-    describe("Pick state", () => {
-        test("WHEN: Pick state of new empty matcher", () => {
-            // Arrange -----------
-            var m = matcher();
-            var picker = vi.fn()
+    describe("Falsy cases", () => {
+        test.each([
+            ["", "empty string"],
+            [0, "zero"],
+        ])("WHEN: Match case key %j", (caseKey) => {
+            // Arrange ------
+            var m = matcher({ foo: 1 })
+                .matchCase({ foo: 1 }, caseKey)
+                .matchCase(true, "other");
 
-            // Act ---------------
-            m.pick(picker);
+            // Act ----------
+            var result = m.resolve();
 
-            // Assert ------------
-            expect(picker).toHaveBeenCalledWith({}, undefined)
-        })
+            // Assert -------
+            expect(result).toBe(caseKey);
+        });
 
-        test("WHEN: Pick state of new matcher with context", () => {
+        test("WHEN: Match symbol case key", () => {
             // Arrange ------
-            var ctx = { foo: 42 };
-            var m = matcher(ctx);
-            var picker = vi.fn()
+            var symbolCase = Symbol("case");
+            var m = matcher().matchCase(true, symbolCase);
 
             // Act ----------
-            m.pick(picker);
+            var result = m.resolve({ [symbolCase]: 42 });
 
             // Assert -------
-            expect(picker).toHaveBeenCalledWith(ctx, undefined)
-        })
+            expect(result).toBe(42);
+        });
 
-        test("WHEN: Pick state before and after match case", () => {
+        test.each([0, false, "", null])(
+            "WHEN: Resolve falsy result %j of matched case",
+            (value) => {
+                // Arrange ------
+                var m = matcher().matchCase(true, trueCase);
+
+                // Act ----------
+                var result = m.resolve({ [trueCase]: value }, "fallback");
+
+                // Assert -------
+                expect(result).toBe(value);
+            },
+        );
+
+        test("WHEN: Empty string case does not fall to otherwise", () => {
             // Arrange ------
-            var ctx = { foo: 42 };
-            var m = matcher(ctx)
-            var picker = vi.fn()
+            var m = matcher().matchCase(true, "").otherwise(falseCase);
 
             // Act ----------
-            m.pick(picker).otherwise(trueCase).pick(picker);
+            var result = m.resolve({ "": 1, [falseCase]: 2 });
 
             // Assert -------
-            expect(picker).toHaveBeenNthCalledWith(1, ctx, undefined)
-            expect(picker).toHaveBeenNthCalledWith(2, ctx, trueCase)
-        })
-    })
+            expect(result).toBe(1);
+        });
 
-    describe("Comparators", () => {
-        describe("Number comparator", () => {
-            test.each([
-                ["is number", 42, trueCase],
-                ["not is number", "foo", falseCase],
-            ])("WHEN: check value type %s", (_, value, expectedCase) => {
-                // Arrange --------
-                var m = matcher({ value })
-                    .matchCase({ value: matcher.number() }, trueCase)
-                    .otherwise(falseCase);
+        test("WHEN: Select case mapped to falsy case key", () => {
+            // Arrange ------
+            var m = matcher({ type: "gift" })
+                .selectCase((ctx) => ctx.type, { gift: 0 })
+                .otherwise(falseCase);
 
-                // Act ------------
-                var result = m.resolve();
+            // Act ----------
+            var result = m.resolve();
 
-                // Assert ---------
-                expect(result).toBe(expectedCase);
-            });
+            // Assert -------
+            expect(result).toBe(0);
+        });
 
-            test.each([
-                [20, trueCase],
-                [5, falseCase],
-            ])(
-                "WHEN: check value 10 is less then %d max",
-                (max, expectedCase) => {
-                    // Arrange -----
+        test("WHEN: Select case by falsy key", () => {
+            // Arrange ------
+            var m = matcher({ count: 0 })
+                .selectCase((ctx) => ctx.count, { 0: "none", 1: "one" })
+                .otherwise(falseCase);
 
-                    var m = matcher({ value: 10 })
-                        .matchCase({ value: matcher.number({ max }) }, trueCase)
-                        .otherwise(falseCase);
+            // Act ----------
+            var result = m.resolve();
 
-                    // Act ---------
-                    var result = m.resolve();
+            // Assert -------
+            expect(result).toBe("none");
+        });
 
-                    // Assert ------
-                    expect(result).toBe(expectedCase);
-                },
-            );
+        test("WHEN: Inherited keys are not resolved or selected", () => {
+            // Arrange ------
+            var m = matcher({ key: "toString" })
+                .selectCase((ctx) => ctx.key, { foo: trueCase })
+                .otherwise("constructor");
 
-            test.each([
-                [37, trueCase],
-                [72, falseCase],
-            ])(
-                "WHEN: check value 42 is greater then %d max",
-                (min, expectedCase) => {
-                    // Arrange -----
-                    var m = matcher({ value: 42 })
-                        .matchCase({ value: matcher.number({ min }) }, trueCase)
-                        .otherwise(falseCase);
+            // Act ----------
+            var result = m.resolve({ foo: 1 }, "fallback");
 
-                    // Act ---------
-                    var result = m.resolve();
+            // Assert -------
+            expect(result).toBe("fallback");
+        });
 
-                    // Assert ------
-                    expect(result).toBe(expectedCase);
-                },
-            );
+        test("WHEN: Exhaustive with falsy matched case", () => {
+            // Arrange ------
+            var m = matcher().matchCase(true, 0);
 
-            test.each([
-                [32, trueCase],
-                [3.14, falseCase],
-            ])("WHEN: check value %d is integer", (value, expectedCase) => {
-                // Arrange -------
-                var m = matcher({ value })
+            // Act ----------
+            var result = m.exhaustive();
+
+            // Assert -------
+            expect(result).toBe(0);
+        });
+
+        test("WHEN: Async matcher resolves falsy case and result", async () => {
+            // Arrange ------
+            var m = matcher
+                .async({ foo: 1 })
+                .matchCase({ foo: 1 }, "")
+                .otherwise(falseCase);
+
+            // Act ----------
+            var result = await m.resolve({ "": 0 }, "fallback");
+
+            // Assert -------
+            expect(result).toBe(0);
+        });
+    });
+
+    describe("Case values", () => {
+        test("WHEN: Match case with function value", () => {
+            // Arrange ------
+            var onClick = vi.fn();
+            var onKey = vi.fn();
+            var m = matcher({ type: "click" })
+                .matchCase({ type: "key" }, matcher.value(onKey))
+                .matchCase({ type: "click" }, matcher.value(onClick));
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            // Function value is returned, not called as branch delegate
+            expect(result).toBe(onClick);
+            expect(onClick).not.toHaveBeenCalled();
+        });
+
+        test.each([[{ x: 1 }], [42], [undefined]])(
+            "WHEN: With pattern returns value %o",
+            (value) => {
+                // Arrange ------
+                var m = matcher({ foo: 1 })
+                    .with({ foo: 2 }, "other")
+                    .with(({ foo }) => foo === 1, value)
+                    .otherwise(falseCase);
+
+                // Act ----------
+                var result = m.resolve();
+
+                // Assert -------
+                expect(result).toBe(value);
+            },
+        );
+
+        test("WHEN: Otherwise with value", () => {
+            // Arrange ------
+            var fallback = () => 0;
+            var m = matcher()
+                .with(false, trueCase)
+                .otherwise(matcher.value(fallback));
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toBe(fallback);
+        });
+
+        test("WHEN: Select case mapped to value", () => {
+            // Arrange ------
+            var handler = () => 1;
+            var m = matcher({ type: "gift" }).selectCase((ctx) => ctx.type, {
+                gift: matcher.value(handler),
+                promo: "promo",
+            });
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toBe(handler);
+        });
+
+        test("WHEN: Branch returns value", () => {
+            // Arrange ------
+            var value = { x: 1 };
+            var m = matcher({ foo: 1 })
+                .matchCase(true, (b) => b.with({ foo: 1 }, value))
+                .otherwise(falseCase);
+
+            // Act ----------
+            var result = m.exhaustive();
+
+            // Assert -------
+            expect(result).toBe(value);
+        });
+
+        test("WHEN: Value is reported as tried case", () => {
+            // Arrange ------
+            var m = matcher({ foo: 1 }).with({ foo: 2 }, 42);
+
+            // Act ----------
+            var act = () => m.exhaustive();
+
+            // Assert -------
+            expect(act).toThrow("No case matched (tried: 42)");
+        });
+
+        test("WHEN: Compiled chain returns value", () => {
+            // Arrange ------
+            var handler = () => 1;
+            var compiled = matcher
+                .define((m) => m.with({ foo: 1 }, handler).otherwise(falseCase))
+                .compile();
+
+            // Act ----------
+            var result = compiled({ foo: 1 });
+
+            // Assert -------
+            expect(result).toBe(handler);
+            expect(compiled({ foo: 2 })).toBe(falseCase);
+        });
+
+        test("WHEN: Async matcher returns value", async () => {
+            // Arrange ------
+            var handler = () => 1;
+            var m = matcher
+                .async({ foo: 1 })
+                .with(async ({ foo }) => foo === 1, handler)
+                .otherwise(falseCase);
+
+            // Act ----------
+            var result = await m.resolve();
+
+            // Assert -------
+            expect(result).toBe(handler);
+        });
+    });
+
+    describe("Tagged union", () => {
+        var handlers = {
+            click: (b) =>
+                b.matchCase(({ x }) => x > 0, "right").otherwise("left"),
+            key: (b) => b.matchCase({ code: "Enter" }, "submit"),
+            scroll: "scroll",
+        };
+
+        test.each([
+            [{ type: "click", x: 10 }, "right"],
+            [{ type: "click", x: -10 }, "left"],
+            [{ type: "key", code: "Enter" }, "submit"],
+            [{ type: "key", code: "Escape" }, falseCase],
+            [{ type: "scroll" }, "scroll"],
+            [{ type: "unknown" }, falseCase],
+        ])("WHEN: Match tag of %o", (ctx, expected) => {
+            // Arrange ------
+            var m = matcher(ctx)
+                .matchTag("type", handlers)
+                .otherwise(falseCase);
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toBe(expected);
+        });
+
+        test("WHEN: Inherited tag is not matched", () => {
+            // Arrange ------
+            var m = matcher({ type: "toString" })
+                .matchTag("type", handlers)
+                .otherwise(falseCase);
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toBe(falseCase);
+        });
+
+        test("WHEN: Compiled chain matches tag", () => {
+            // Arrange ------
+            var compiled = matcher
+                .define((m) =>
+                    m.matchTag("type", handlers).otherwise(falseCase),
+                )
+                .compile();
+
+            // Act ----------
+            var result = compiled({ type: "click", x: 1 });
+
+            // Assert -------
+            expect(result).toBe("right");
+            expect(compiled({ type: "key", code: "Enter" })).toBe("submit");
+        });
+
+        test("WHEN: Async matcher matches tag", async () => {
+            // Arrange ------
+            var m = matcher
+                .async({ type: "key", code: "Enter" })
+                .matchTag("type", handlers);
+
+            // Act ----------
+            var result = await m.resolve();
+
+            // Assert -------
+            expect(result).toBe("submit");
+        });
+    });
+
+    describe("Array patterns", () => {
+        test.each([
+            [["git", "commit"], ["git", "commit"], true],
+            [["git", "commit", "-m"], ["git", "commit"], false],
+            [["git", "commit", "-m"], ["git", ...matcher.rest()], true],
+            [["git"], ["git", ...matcher.rest()], true],
+            [["build", "--watch"], [...matcher.rest(), "--watch"], true],
+            [["build", "--watch"], [...matcher.rest(), "--prod"], false],
+            [["cp", "a", "b", "dst"], ["cp", ...matcher.rest(), "dst"], true],
+            [["cp", "dst"], ["cp", ...matcher.rest(), "a", "dst"], false],
+            [[1, 2, 3], [1, ...matcher.rest(matcher.number())], true],
+            [[1, 2, "3"], [1, ...matcher.rest(matcher.number())], false],
+        ])("WHEN: Array %o is matched by %o", (ctx, pattern, isMatched) => {
+            // Arrange ------
+            var m = matcher(ctx).matchCase(pattern, trueCase);
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toBe(isMatched ? trueCase : undefined);
+        });
+
+        test("WHEN: Match nested array with rest", () => {
+            // Arrange ------
+            var m = matcher({ path: ["api", "users", "42"] })
+                .matchCase({ path: ["api", "orders", ...matcher.rest()] }, 0)
+                .matchCase({ path: ["api", "users", ...matcher.rest()] }, 1);
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toBe(1);
+        });
+
+        test.each([
+            [{ tags: ["a", "b"] }, { tags: matcher.array.includes("b") }, true],
+            [
+                { tags: ["a", "b"] },
+                { tags: matcher.array.includes("c") },
+                false,
+            ],
+            [
+                [1, 20],
+                matcher.array.includes(matcher.number({ min: 10 })),
+                true,
+            ],
+            [
+                [1, 2],
+                matcher.array.includes(matcher.number({ min: 10 })),
+                false,
+            ],
+        ])("WHEN: Includes for %o", (ctx, pattern, isMatched) => {
+            // Arrange ------
+            var m = matcher(ctx).matchCase(pattern, trueCase);
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toBe(isMatched ? trueCase : undefined);
+        });
+
+        test("WHEN: Branch keeps array context", () => {
+            // Arrange ------
+            var m = matcher(["run", "test"]).matchCase(
+                ["run", ...matcher.rest()],
+                (b) => b.matchCase((ctx) => Array.isArray(ctx), trueCase),
+            );
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toBe(trueCase);
+        });
+
+        test.each([
+            [
+                "multiple rest elements",
+                () => [...matcher.rest(), ...matcher.rest()],
+            ],
+            ["rest outside of array", () => ({ items: matcher.rest() })],
+        ])("WHEN: Pattern with %s", (_, createPattern) => {
+            // Arrange ------
+            var m = matcher({ items: [] });
+
+            // Act ----------
+            var error = () => m.matchCase(createPattern(), trueCase);
+
+            // Assert -------
+            expect(error).toThrow(TypeError);
+        });
+    });
+
+    describe("Match all", () => {
+        var buildRules = (m) =>
+            m
+                .matchCase({ age: matcher.number({ min: 65 }) }, "senior")
+                .matchCase({ vip: true }, "vip")
+                .matchCase({ country: "DE" }, (b) =>
+                    b
+                        .matchCase(
+                            { age: matcher.number({ max: 17 }) },
+                            "minor",
+                        )
+                        .matchCase({ vip: true }, "eu-vip")
+                        .otherwise("eu"),
+                );
+
+        test.each([
+            [{ age: 70, vip: true }, ["senior", "vip"]],
+            [{ age: 30, vip: true, country: "DE" }, ["vip", "eu-vip"]],
+            [{ age: 12, country: "DE" }, ["minor"]],
+            [{ age: 30, country: "DE" }, ["eu"]],
+            [{ age: 30 }, []],
+        ])("WHEN: Match all cases for %o", (ctx, expected) => {
+            // Arrange ------
+            var m = buildRules(matcher(ctx, { mode: "all" }));
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toEqual(expected);
+        });
+
+        test.each([
+            [{ vip: true }, ["vip"]],
+            [{ vip: false }, ["none"]],
+        ])("WHEN: Otherwise of all mode for %o", (ctx, expected) => {
+            // Arrange ------
+            var m = matcher(ctx)
+                .matchAll()
+                .matchCase({ vip: true }, "vip")
+                .otherwise("none");
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toEqual(expected);
+        });
+
+        test("WHEN: Switch to all mode after matched case", () => {
+            // Arrange ------
+            var m = matcher({ age: 70, vip: true })
+                .matchCase({ vip: true }, "vip")
+                .matchAll()
+                .matchCase({ age: 70 }, "senior");
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toEqual(["vip", "senior"]);
+        });
+
+        test("WHEN: Resolve results of all matched cases", () => {
+            // Arrange ------
+            var m = buildRules(matcher({ age: 70, vip: true }).matchAll());
+
+            // Act ----------
+            var result = m.resolve({ senior: 1 }, (_, caseKey) => caseKey);
+
+            // Assert -------
+            expect(result).toEqual([1, "vip"]);
+        });
+
+        test("WHEN: Resolve all matched cases strictly", () => {
+            // Arrange ------
+            var m = buildRules(matcher({ age: 70, vip: true }).matchAll());
+
+            // Act ----------
+            var result = m.resolveStrict({ senior: 1, vip: 2 });
+
+            // Assert -------
+            expect(result).toEqual([1, 2]);
+        });
+
+        test("WHEN: Nothing matched exhaustively in all mode", () => {
+            // Arrange ------
+            var m = buildRules(matcher({ age: 30 }).matchAll());
+
+            // Act ----------
+            var error = () => m.exhaustive();
+
+            // Assert -------
+            expect(error).toThrow(MatcherNoMatchError);
+        });
+
+        test("WHEN: Compiled matcher in all mode", () => {
+            // Arrange ------
+            var compiled = matcher
+                .define((m) => buildRules(m.matchAll()))
+                .compile();
+
+            // Act ----------
+            var result = [{ age: 70, vip: true }, { age: 30 }].map(compiled);
+
+            // Assert -------
+            expect(result).toEqual([["senior", "vip"], []]);
+        });
+
+        test("WHEN: Group items of collection in all mode", () => {
+            // Arrange ------
+            var items = [{ age: 70, vip: true }, { vip: true }, { age: 30 }];
+            var collection = matcher.each(items, (m) =>
+                buildRules(m.matchAll()),
+            );
+
+            // Act ----------
+            var result = collection.countBy();
+
+            // Assert -------
+            expect(result).toEqual(
+                new Map([
+                    ["senior", 1],
+                    ["vip", 2],
+                    [undefined, 1],
+                ]),
+            );
+        });
+    });
+
+    describe("Case priority", () => {
+        var ctx = { role: "admin", region: "EU", age: 30 };
+
+        test.each([
+            [{ priority: 1 }, { priority: 10 }, "eu"],
+            [{ priority: 10 }, { priority: 1 }, "admin"],
+            [{ priority: 5 }, { priority: 5 }, "admin"],
+            [undefined, { priority: 10 }, "admin"],
+            [{ priority: 1 }, undefined, "admin"],
+            [{ priority: -1 }, undefined, "eu"],
+            [undefined, undefined, "admin"],
+        ])(
+            "WHEN: Cases with priority %o and %o",
+            (adminOptions, euOptions, expected) => {
+                // Arrange ------
+                var m = matcher(ctx)
+                    .matchCase({ role: "admin" }, "admin", adminOptions)
+                    .matchCase({ region: "EU" }, "eu", euOptions);
+
+                // Act ----------
+                var result = m.resolve();
+
+                // Assert -------
+                expect(result).toBe(expected);
+            },
+        );
+
+        test("WHEN: More constrained pattern wins the same priority", () => {
+            // Arrange ------
+            var m = matcher(ctx)
+                .matchCase(() => true, "any", { priority: 1 })
+                .matchCase({ role: "admin" }, "admin", { priority: 1 })
+                .matchCase({ role: "admin", region: "EU" }, "eu-admin", {
+                    priority: 1,
+                });
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toBe("eu-admin");
+        });
+
+        test("WHEN: Cases without priority have priority 0", () => {
+            // Arrange ------
+            var m = matcher(ctx, { mode: "all" })
+                .matchCase({ region: "EU" }, "eu", { priority: 1 })
+                .matchCase({ role: "admin" }, "admin", { priority: 2 })
+                .matchCase(true, "any")
+                .matchCase({ age: 30 }, "adult", { priority: 10 })
+                .matchCase({ role: "admin", age: 30 }, "adult-admin")
+                .matchCase(true, "last", { priority: -1 });
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toEqual([
+                "adult",
+                "admin",
+                "eu",
+                "any",
+                "adult-admin",
+                "last",
+            ]);
+        });
+
+        test("WHEN: Case without priority precedes the case with priority", () => {
+            // Arrange ------
+            var m = matcher(ctx)
+                .matchCase({ role: "admin" }, "plain")
+                .selectCase((c) => c.region)
+                .matchCase({ role: "admin" }, "prioritized", { priority: 10 });
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toBe("plain");
+        });
+
+        test("WHEN: Each deferred case is matched with its own context", () => {
+            // Arrange ------
+            var m = matcher(ctx)
+                .matchCase({ level: 1 }, "first", { priority: 1 })
+                .withContext({ level: 1 })
+                .matchCase({ level: 1 }, "second")
+                .mapContext(() => ({ level: 2 }))
+                .matchCase({ level: 2 }, "third", { priority: 2 });
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toBe("third");
+        });
+
+        test("WHEN: Cases of forwarded branches are merged by priority", () => {
+            // Arrange ------
+            var m = matcher(ctx)
+                .forward((b) =>
+                    b
+                        .matchCase(true, "p1", { priority: 1 })
+                        .matchCase(false, "none"),
+                )
+                .forward((b) => b.matchCase(true, "p2", { priority: 2 }));
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toBe("p2");
+        });
+
+        test("WHEN: Merge cases of forwarded branches", () => {
+            // Arrange ------
+            var pluginA = (b) =>
+                b
+                    .matchCase({ role: "admin" }, "admin", { priority: 1 })
+                    .matchCase({ age: 30 }, "adult", { priority: 3 });
+            var pluginB = (b) =>
+                b.matchCase({ region: "EU" }, "eu", { priority: 2 });
+            var m = matcher(ctx, { mode: "all" })
+                .forward(pluginA)
+                .forward(pluginB);
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toEqual(["adult", "eu", "admin"]);
+        });
+
+        test("WHEN: Branch evaluates its deferred cases on exit", () => {
+            // Arrange ------
+            var m = matcher(ctx)
+                .matchCase({ role: "admin" }, (b) =>
+                    b
+                        .matchCase({ age: 30 }, "adult", { priority: 1 })
+                        .matchCase({ region: "EU" }, "eu", { priority: 2 }),
+                )
+                .otherwise("none");
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toBe("eu");
+        });
+
+        test("WHEN: Compiled matcher with priority", () => {
+            // Arrange ------
+            var compiled = matcher
+                .define((m) =>
+                    m
+                        .matchCase({ role: "admin" }, "admin", { priority: 1 })
+                        .matchCase({ region: "EU" }, "eu", { priority: 2 })
+                        .otherwise("none"),
+                )
+                .compile();
+
+            // Act ----------
+            var result = [ctx, { role: "admin" }, {}].map(compiled);
+
+            // Assert -------
+            expect(result).toEqual(["eu", "admin", "none"]);
+        });
+
+        test("WHEN: JSON rules with priority", () => {
+            // Arrange ------
+            var rules = {
+                cases: [
+                    { match: { role: "admin" }, case: "admin", priority: 1 },
+                    { match: { region: "EU" }, case: "eu", priority: 2 },
+                ],
+            };
+            var definition = matcher.define((m) =>
+                m.forward(matcher.fromJSON(rules)),
+            );
+
+            // Act ----------
+            var result = definition.compile()(ctx);
+
+            // Assert -------
+            expect(result).toBe("eu");
+        });
+    });
+
+    describe("Guard clauses", () => {
+        var sameOrg = { when: (ctx) => ctx.orgId === ctx.user.orgId };
+
+        test.each([
+            [{ role: "admin", orgId: 1, user: { orgId: 1 } }, "org-admin"],
+            [{ role: "admin", orgId: 1, user: { orgId: 2 } }, "admin"],
+            [{ role: "user", orgId: 1, user: { orgId: 1 } }, falseCase],
+        ])("WHEN: Match pattern with guard for %o", (ctx, expected) => {
+            // Arrange ------
+            var m = matcher(ctx)
+                .matchCase({ role: "admin" }, sameOrg, "org-admin")
+                .matchCase({ role: "admin" }, "admin")
+                .otherwise(falseCase);
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toBe(expected);
+        });
+
+        test("WHEN: Guard runs only after the pattern passed", () => {
+            // Arrange ------
+            var when = vi.fn(() => true);
+            var m = matcher({ role: "user" }).matchCase(
+                { role: "admin" },
+                { when },
+                trueCase,
+            );
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toBeUndefined();
+            expect(when).not.toHaveBeenCalled();
+        });
+
+        test("WHEN: Guard sees captured values", () => {
+            // Arrange ------
+            var when = vi.fn((_, { limit, total }) => total > limit);
+            var m = matcher({ limit: 100, order: { total: 120 } }).matchCase(
+                { limit: matcher.capture("limit") },
+                (b) =>
+                    b.matchCase(
+                        { order: { total: matcher.capture("total") } },
+                        { when },
+                        trueCase,
+                    ),
+            );
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toBe(trueCase);
+            expect(when).toHaveBeenCalledWith(expect.anything(), {
+                limit: 100,
+                total: 120,
+            });
+        });
+
+        test("WHEN: Guard of pattern with context fields", () => {
+            // Arrange ------
+            var when = vi.fn(() => true);
+            var m = matcher({ path: "/users/42" }).matchCase(
+                {
+                    path: matcher.regex(/^\/users\/(?<id>\d+)$/, {
+                        into: "route",
+                    }),
+                },
+                { when },
+                trueCase,
+            );
+
+            // Act ----------
+            var result = m.resolve();
+            var bindings = when.mock.calls[0][1];
+
+            // Assert -------
+            expect(result).toBe(trueCase);
+            expect(Object.getOwnPropertySymbols(bindings)).toEqual([]);
+        });
+
+        test("WHEN: Explain keys of pattern with guard", () => {
+            // Arrange ------
+            var ctx = { role: "admin", orgId: 1, user: { orgId: 2 } };
+            var m = matcher(ctx, { trace: true }).matchCase(
+                { role: "admin" },
+                sameOrg,
+                "org-admin",
+            );
+
+            // Act ----------
+            var result = m.explain();
+
+            // Assert -------
+            expect(result.steps[0]).toEqual({
+                step: "matchCase",
+                depth: 0,
+                context: ctx,
+                case: "org-admin",
+                matched: false,
+                keys: [{ key: "role", matched: true }],
+            });
+        });
+
+        test.each([
+            [{ total: 120, limit: 100 }, trueCase],
+            [{ total: 80, limit: 100 }, falseCase],
+            [{ total: "120", limit: 100 }, falseCase],
+        ])("WHEN: Match field %o with where comparator", (order, expected) => {
+            // Arrange ------
+            var overLimit = matcher.where(
+                { total: matcher.number(), limit: matcher.capture("limit") },
+                (value, { limit }) => value.total > limit,
+            );
+            var m = matcher({ order })
+                .matchCase({ order: overLimit }, trueCase)
+                .otherwise(falseCase);
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toBe(expected);
+        });
+
+        test("WHEN: Explain keys of where comparator", () => {
+            // Arrange ------
+            var ctx = { role: "admin", orgId: 1, user: { orgId: 1 } };
+            var m = matcher(ctx, { trace: true }).matchCase(
+                matcher.where({ role: "admin" }, sameOrg.when),
+                "org-admin",
+            );
+
+            // Act ----------
+            var result = m.explain();
+
+            // Assert -------
+            expect(result.steps[0].keys).toEqual([
+                { key: "role", matched: true },
+            ]);
+        });
+
+        test.each([
+            [{ role: "admin", orgId: 1, user: { orgId: 1 } }, trueCase],
+            [{ role: "admin", orgId: 1, user: { orgId: 2 } }, falseCase],
+        ])("WHEN: Match async guard for %o", async (ctx, expected) => {
+            // Arrange ------
+            var m = matcher
+                .async(ctx)
+                .matchCase(
+                    { role: "admin" },
+                    { when: async (c) => sameOrg.when(c) },
+                    trueCase,
+                )
+                .otherwise(falseCase);
+
+            // Act ----------
+            var result = await m.resolve();
+
+            // Assert -------
+            expect(result).toBe(expected);
+        });
+
+        test("WHEN: Compiled matcher with guard", () => {
+            // Arrange ------
+            var compiled = matcher
+                .define((m) =>
+                    m
+                        .matchCase({ role: "admin" }, sameOrg, "org-admin")
+                        .otherwise("other"),
+                )
+                .compile();
+
+            // Act ----------
+            var result = [
+                { role: "admin", orgId: 1, user: { orgId: 1 } },
+                { role: "admin", orgId: 1, user: { orgId: 2 } },
+            ].map(compiled);
+
+            // Assert -------
+            expect(result).toEqual(["org-admin", "other"]);
+        });
+
+        test("WHEN: Guard wins the same priority", () => {
+            // Arrange ------
+            var m = matcher({ role: "admin", orgId: 1, user: { orgId: 1 } })
+                .matchCase({ role: "admin" }, "admin", { priority: 1 })
+                .matchCase({ role: "admin" }, sameOrg, "org-admin", {
+                    priority: 1,
+                });
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toBe("org-admin");
+        });
+    });
+
+    describe("Path keys", () => {
+        var order = {
+            user: { address: { country: "DE" } },
+            items: [{ sku: "A1" }, { sku: "B2" }],
+        };
+
+        test.each([
+            [{ "user.address.country": "DE" }, trueCase],
+            [{ "user.address.country": "FR" }, falseCase],
+            [{ "items[1].sku": "B2" }, trueCase],
+            [{ "items[2].sku": matcher.defined() }, falseCase],
+            [{ user: { "address.country": "DE" } }, trueCase],
+            [{ "user.address": { country: "DE" } }, trueCase],
+        ])("WHEN: match path pattern %o", (pattern, expectedCase) => {
+            // Arrange -------
+            var m = matcher(order)
+                .matchCase(pattern, trueCase)
+                .otherwise(falseCase);
+
+            // Act -----------
+            var result = m.resolve();
+
+            // Assert --------
+            expect(result).toBe(expectedCase);
+        });
+
+        test.each([
+            [{ user: null }],
+            [{ user: { address: undefined } }],
+            [{ items: "none" }],
+            [{}],
+        ])(
+            "WHEN: intermediate value of %o is missing, THEN: value is undefined",
+            (context) => {
+                // Arrange -------
+                var m = matcher(context)
+                    .matchCase(
+                        {
+                            "user.address.country": matcher.nullish(),
+                            "items[0].sku": undefined,
+                        },
+                        trueCase,
+                    )
+                    .otherwise(falseCase);
+
+                // Act -----------
+                var result = m.resolve();
+
+                // Assert --------
+                expect(result).toBe(trueCase);
+            },
+        );
+
+        test("WHEN: context has own dotted key, THEN: own key is matched", () => {
+            // Arrange -------
+            var m = matcher({ "a.b": 1, "a": { b: 2 } })
+                .matchCase({ "a.b": 1 }, trueCase)
+                .otherwise(falseCase);
+
+            // Act -----------
+            var result = m.resolve();
+
+            // Assert --------
+            expect(result).toBe(trueCase);
+        });
+
+        test("WHEN: capture by path, THEN: bindings have value", () => {
+            // Arrange -------
+            var picker = vi.fn();
+            var m = matcher(order).matchCase(
+                { "items[0].sku": matcher.capture("sku") },
+                trueCase,
+            );
+
+            // Act -----------
+            m.pick(picker);
+
+            // Assert --------
+            expect(picker).toHaveBeenCalledWith(order, trueCase, { sku: "A1" });
+        });
+
+        test("WHEN: validate path pattern, THEN: error has path key", () => {
+            // Act -----------
+            var result = matcher.validate(order, {
+                "user.address.country": "FR",
+            });
+
+            // Assert --------
+            expect(result.errors).toEqual([
+                {
+                    path: ["user.address.country"],
+                    message: 'expected "FR", got "DE"',
+                },
+            ]);
+        });
+    });
+
+    describe("Capture bindings", () => {
+        test("WHEN: Capture value into resolver", () => {
+            // Arrange ------
+            var ctx = { user: { id: 42, role: "admin" } };
+            var resolver = vi.fn(() => trueCase);
+            var m = matcher(ctx)
+                .matchCase(
+                    { user: { id: matcher.capture("id"), role: "admin" } },
+                    "A",
+                )
+                .otherwise("B");
+
+            // Act ----------
+            var result = m.resolve({ A: resolver }, falseCase);
+
+            // Assert -------
+            expect(result).toBe(trueCase);
+            expect(resolver).toHaveBeenCalledWith(ctx, "A", { id: 42 });
+        });
+
+        test("WHEN: Capture value into picker", () => {
+            // Arrange ------
+            var picker = vi.fn();
+            var m = matcher({ value: "foo" }).matchCase(
+                { value: matcher.capture("value", matcher.string()) },
+                trueCase,
+            );
+
+            // Act ----------
+            m.pick(picker);
+
+            // Assert -------
+            expect(picker).toHaveBeenCalledWith({ value: "foo" }, trueCase, {
+                value: "foo",
+            });
+        });
+
+        test("WHEN: Capture value into branch delegate", () => {
+            // Arrange ------
+            var delegate = vi.fn((b, { id }) =>
+                b.matchCase(id > 10, trueCase).otherwise(falseCase),
+            );
+            var m = matcher({ id: 42 }).matchCase(
+                { id: matcher.capture("id") },
+                delegate,
+            );
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toBe(trueCase);
+            expect(delegate).toHaveBeenCalledWith(m, { id: 42 });
+        });
+
+        test("WHEN: Captured value not matched by inner pattern", () => {
+            // Arrange ------
+            var picker = vi.fn();
+            var m = matcher({ id: "42", role: "admin" })
+                .matchCase(
+                    {
+                        role: "admin",
+                        id: matcher.capture("id", matcher.number()),
+                    },
+                    trueCase,
+                )
+                .otherwise(falseCase);
+
+            // Act ----------
+            m.pick(picker);
+
+            // Assert -------
+            expect(picker).toHaveBeenCalledWith(
+                expect.anything(),
+                falseCase,
+                {},
+            );
+        });
+
+        test("WHEN: Pattern with capture is partially matched", () => {
+            // Arrange ------
+            var picker = vi.fn();
+            var m = matcher({ id: 42, role: "guest" })
+                .matchCase(
+                    { id: matcher.capture("id"), role: "admin" },
+                    trueCase,
+                )
+                .otherwise(falseCase);
+
+            // Act ----------
+            m.pick(picker);
+
+            // Assert -------
+            // Values of unmatched pattern are not captured
+            expect(picker).toHaveBeenCalledWith(
+                expect.anything(),
+                falseCase,
+                {},
+            );
+        });
+
+        test("WHEN: Branch with captured value matches nothing", () => {
+            // Arrange ------
+            var picker = vi.fn();
+            var m = matcher({ id: 42, name: "foo" })
+                .matchCase({ id: matcher.capture("id") }, (b) =>
+                    b.matchCase(false, trueCase),
+                )
+                .matchCase({ name: matcher.capture("name") }, falseCase);
+
+            // Act ----------
+            m.pick(picker);
+
+            // Assert -------
+            expect(picker).toHaveBeenCalledWith(expect.anything(), falseCase, {
+                name: "foo",
+            });
+        });
+
+        test("WHEN: Capture inside combinators", () => {
+            // Arrange ------
+            var picker = vi.fn();
+            var m = matcher({ value: 42 }).matchCase(
+                {
+                    value: matcher.anyOf(
+                        matcher.allOf(matcher.capture("str"), matcher.string()),
+                        matcher.capture("num", matcher.number()),
+                    ),
+                },
+                trueCase,
+            );
+
+            // Act ----------
+            m.pick(picker);
+
+            // Assert -------
+            // Only the matched alternative contributes its captures
+            expect(picker).toHaveBeenCalledWith(expect.anything(), trueCase, {
+                num: 42,
+            });
+        });
+    });
+
+    describe("Compiled matcher", () => {
+        var buildChain = (m) =>
+            m
+                .withContext({ limit: 40 })
+                .matchCase({ type: "num" }, (branch) =>
+                    branch
+                        .matchCase(({ foo }) => foo < 20, "case1")
+                        .matchCase(
+                            { foo: matcher.number({ min: 40 }) },
+                            "case2",
+                        )
+                        .otherwise("case3"),
+                )
+                .selectCase((ctx) => ctx.type, { str: "case4" })
+                .otherwise("case5");
+
+        test.each([
+            { type: "num", foo: 10 },
+            { type: "num", foo: 42 },
+            { type: "num", foo: 30 },
+            { type: "str", foo: "bar" },
+            { type: "bool" },
+            undefined,
+        ])("WHEN: Evaluate compiled chain for %o", (ctx) => {
+            // Arrange ------
+            var compiled = matcher.define(buildChain).compile();
+
+            // Act ----------
+            var result = compiled(ctx);
+
+            // Assert -------
+            // Same result as the fluent matcher
+            expect(result).toBe(buildChain(matcher(ctx)).resolve());
+        });
+
+        test("WHEN: Compiled chain keeps the first matched case", () => {
+            // Arrange ------
+            var compiled = matcher
+                .define((m) => m.matchCase(true, "").matchCase(true, falseCase))
+                .compile();
+
+            // Act ----------
+            var result = compiled({});
+
+            // Assert -------
+            expect(result).toBe("");
+        });
+
+        test("WHEN: Compiled chain ends with explain", () => {
+            // Arrange ------
+            var compiled = matcher
+                .define((m) =>
+                    m
+                        .matchCase({ role: "admin" }, trueCase)
+                        .otherwise(falseCase)
+                        .explain(),
+                )
+                .compile();
+            var ctx = { role: "admin" };
+
+            // Act ----------
+            var result = compiled(ctx);
+
+            // Assert -------
+            expect(result).toEqual({
+                matchedCase: trueCase,
+                context: ctx,
+                bindings: {},
+                steps: [],
+            });
+        });
+
+        test("WHEN: Evaluate compiled chain many times", () => {
+            // Arrange ------
+            var compiled = matcher
+                .define((m) =>
+                    m
+                        .matchCase({ role: "admin" }, trueCase)
+                        .otherwise(falseCase),
+                )
+                .compile();
+
+            // Act ----------
+            var results = [
+                compiled({ role: "admin" }),
+                compiled({ role: "guest" }),
+                compiled({ role: "admin" }),
+            ];
+
+            // Assert -------
+            // State is not shared between calls
+            expect(results).toEqual([trueCase, falseCase, trueCase]);
+        });
+
+        test("WHEN: Builder is called once", () => {
+            // Arrange ------
+            var builder = vi.fn((m) => m.otherwise(trueCase));
+
+            // Act ----------
+            var compiled = matcher.define(builder).compile();
+            compiled();
+            compiled();
+
+            // Assert -------
+            expect(builder).toHaveBeenCalledTimes(1);
+        });
+
+        test("WHEN: Pattern is compiled once", () => {
+            // Arrange ------
+            var getter = vi.fn(() => "admin");
+            var pattern = Object.defineProperty({}, "role", {
+                get: getter,
+                enumerable: true,
+            });
+            var compiled = matcher
+                .define((m) => m.matchCase(pattern, trueCase))
+                .compile();
+
+            // Act ----------
+            compiled({ role: "admin" });
+            compiled({ role: "admin" });
+
+            // Assert -------
+            expect(getter).toHaveBeenCalledTimes(1);
+        });
+
+        test("WHEN: Chain ends with resolve", () => {
+            // Arrange ------
+            var resolver = vi.fn(() => 42);
+            var compiled = matcher
+                .define((m) =>
+                    m
+                        .matchCase(
+                            { id: matcher.capture("id", matcher.number()) },
+                            "A",
+                        )
+                        .otherwise("B")
+                        .resolve({ A: resolver, B: 2 }, -1),
+                )
+                .compile();
+
+            // Act ----------
+            var results = [compiled({ id: 1 }), compiled({})];
+
+            // Assert -------
+            expect(results).toEqual([42, 2]);
+            expect(resolver).toHaveBeenCalledWith({ id: 1 }, "A", { id: 1 });
+        });
+
+        test("WHEN: Chain ends with unwrap", () => {
+            // Arrange ------
+            var compiled = matcher
+                .define((m) =>
+                    m
+                        .forward((b) => b.withContext({ bar: 22 }).unwrap())
+                        .unwrap(),
+                )
+                .compile();
+
+            // Act ----------
+            var result = compiled({ foo: 11 });
+
+            // Assert -------
+            expect(result).toEqual({ foo: 11, bar: 22 });
+        });
+
+        test("WHEN: Compiled matcher is called recursively", () => {
+            // Arrange ------
+            var compiled = matcher
+                .define((m) =>
+                    m
+                        .matchCase({ child: matcher.defined() }, (b) =>
+                            b.selectCase((ctx) => compiled(ctx.child)),
+                        )
+                        .selectCase((ctx) => ctx.name),
+                )
+                .compile();
+
+            // Act ----------
+            var result = compiled({ child: { child: { name: "leaf" } } });
+
+            // Assert -------
+            expect(result).toBe("leaf");
+        });
+
+        test("WHEN: Compiled chain throws", () => {
+            // Arrange ------
+            var compiled = matcher
+                .define((m) =>
+                    m
+                        .matchCase((ctx) => ctx.fail && ctx.fail(), "A")
+                        .otherwise("B"),
+                )
+                .compile();
+
+            // Act ----------
+            var error = () =>
+                compiled({
+                    fail: () => {
+                        throw new Error("fail");
+                    },
+                });
+            var result = compiled({});
+
+            // Assert -------
+            expect(error).toThrow("fail");
+            expect(result).toBe("B");
+        });
+    });
+
+    describe("Memoized matcher", () => {
+        var createMemoized = (predicate, options) =>
+            matcher
+                .define((m) =>
+                    m.matchCase(predicate, "admin").otherwise("user"),
+                )
+                .memoize(options);
+
+        test("WHEN: Resolve the same context twice", () => {
+            // Arrange ------
+            var predicate = vi.fn((ctx) => ctx.role === "admin");
+            var memoized = createMemoized(predicate);
+            var ctx = { role: "admin" };
+
+            // Act ----------
+            var result = [memoized(ctx), memoized(ctx)];
+
+            // Assert -------
+            expect(result).toEqual(["admin", "admin"]);
+            expect(predicate).toHaveBeenCalledTimes(1);
+            expect(memoized.stats()).toEqual({ hits: 1, misses: 1, size: 1 });
+        });
+
+        test.each([
+            [{}, 0],
+            [{ key: (ctx) => ctx.role }, 1],
+            [{ shallow: true }, 1],
+        ])("WHEN: Resolve equal contexts with %o", (options, hits) => {
+            // Arrange ------
+            var predicate = vi.fn((ctx) => ctx.role === "admin");
+            var memoized = createMemoized(predicate, options);
+
+            // Act ----------
+            memoized({ role: "admin" });
+            memoized({ role: "admin" });
+            memoized({ role: "guest" });
+
+            // Assert -------
+            expect(memoized.stats().hits).toBe(hits);
+            expect(predicate).toHaveBeenCalledTimes(3 - hits);
+        });
+
+        test("WHEN: Least recently used result is evicted", () => {
+            // Arrange ------
+            var predicate = vi.fn((ctx) => ctx.role === "admin");
+            var memoized = createMemoized(predicate, {
+                key: (ctx) => ctx.role,
+                maxSize: 2,
+            });
+
+            // Act ----------
+            ["admin", "guest", "admin", "owner", "admin", "guest"].forEach(
+                (role) => memoized({ role }),
+            );
+
+            // Assert -------
+            expect(memoized.stats()).toEqual({ hits: 2, misses: 4, size: 2 });
+        });
+
+        test("WHEN: Max size is not given, THEN: cache is bounded by 100 results", () => {
+            // Arrange ------
+            var predicate = vi.fn((ctx) => ctx.role === "admin");
+            var memoized = createMemoized(predicate);
+            var contexts = Array.from({ length: 101 }, (_, id) => ({ id }));
+
+            // Act ----------
+            contexts.forEach((ctx) => memoized(ctx));
+            memoized(contexts[0]);
+
+            // Assert -------
+            expect(memoized.stats()).toEqual({
+                hits: 0,
+                misses: 102,
+                size: 100,
+            });
+        });
+
+        test("WHEN: Clear the cache", () => {
+            // Arrange ------
+            var predicate = vi.fn((ctx) => ctx.role === "admin");
+            var memoized = createMemoized(predicate);
+            var ctx = { role: "admin" };
+            memoized(ctx);
+
+            // Act ----------
+            memoized.clear();
+            memoized(ctx);
+
+            // Assert -------
+            expect(predicate).toHaveBeenCalledTimes(2);
+            expect(memoized.stats()).toEqual({ hits: 0, misses: 1, size: 1 });
+        });
+
+        test("WHEN: Max size is less than 1", () => {
+            // Arrange ------
+            var predicate = () => true;
+
+            // Act ----------
+            var error = () => createMemoized(predicate, { maxSize: 0 });
+
+            // Assert -------
+            expect(error).toThrow(RangeError);
+        });
+    });
+
+    describe("Collection", () => {
+        var orders = [
+            { id: 1, total: 150 },
+            { id: 2, total: 20 },
+            { id: 3, total: 300 },
+            { id: 4, total: -1 },
+        ];
+        var buildChain = (m) =>
+            m
+                .matchCase({ total: matcher.number({ min: 100 }) }, "large")
+                .matchCase({ total: matcher.number({ min: 0 }) }, "small");
+
+        test("WHEN: Resolve all items", () => {
+            // Arrange ------
+            var collection = matcher.each(orders, (m) =>
+                buildChain(m).resolve({ large: 2, small: 1 }, 0),
+            );
+
+            // Act ----------
+            var result = collection.resolveAll();
+
+            // Assert -------
+            expect(result).toEqual([2, 1, 2, 0]);
+        });
+
+        test("WHEN: Group items by case", () => {
+            // Arrange ------
+            var collection = matcher.each(orders, buildChain);
+
+            // Act ----------
+            var result = collection.groupBy();
+
+            // Assert -------
+            expect(result).toEqual(
+                new Map([
+                    ["large", [orders[0], orders[2]]],
+                    ["small", [orders[1]]],
+                    [undefined, [orders[3]]],
+                ]),
+            );
+        });
+
+        test("WHEN: Group items of resolved chain by case", () => {
+            // Arrange ------
+            var collection = matcher.each(orders, (m) =>
+                buildChain(m).otherwise("none").resolve({ large: 1 }, 0),
+            );
+
+            // Act ----------
+            var result = collection.countBy();
+
+            // Assert -------
+            // Grouped by cases, not by resolved results
+            expect(result).toEqual(
+                new Map([
+                    ["large", 2],
+                    ["small", 1],
+                    ["none", 1],
+                ]),
+            );
+        });
+
+        test("WHEN: Evaluate iterable items", () => {
+            // Arrange ------
+            function* generateItems() {
+                yield { total: 500 };
+                yield { total: 5 };
+            }
+            var collection = matcher.each(generateItems(), buildChain);
+
+            // Act ----------
+            var result = collection.resolveAll();
+
+            // Assert -------
+            // Items are collected once and can be evaluated many times
+            expect(result).toEqual(["large", "small"]);
+            expect(collection.countBy().get("large")).toBe(1);
+        });
+
+        test("WHEN: Builder is called once", () => {
+            // Arrange ------
+            var builder = vi.fn(buildChain);
+            var collection = matcher.each(orders, builder);
+
+            // Act ----------
+            collection.resolveAll();
+            collection.groupBy();
+
+            // Assert -------
+            expect(builder).toHaveBeenCalledTimes(1);
+        });
+
+        test("WHEN: Group items of exhaustive chain", () => {
+            // Arrange ------
+            var collection = matcher.each(orders, (m) =>
+                buildChain(m).exhaustive(),
+            );
+
+            // Act ----------
+            var act = () => collection.groupBy();
+
+            // Assert -------
+            expect(act).toThrow(MatcherNoMatchError);
+        });
+    });
+
+    describe("Async matcher", () => {
+        var delay = (value) => Promise.resolve().then(() => value);
+
+        test("WHEN: Resolve async matcher", async () => {
+            // Arrange ------
+            var m = matcher.async({ foo: 42 }).otherwise(trueCase);
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            expect(result).toBeInstanceOf(Promise);
+            expect(await result).toBe(trueCase);
+        });
+
+        test.each([
+            [true, trueCase],
+            [false, falseCase],
+        ])("WHEN: async predicate returns %s", async (value, expectedCase) => {
+            // Arrange ------
+            var m = matcher
+                .async({ value })
+                .matchCase((ctx) => delay(ctx.value), trueCase)
+                .otherwise(falseCase);
+
+            // Act ----------
+            var result = await m.resolve();
+
+            // Assert -------
+            expect(result).toBe(expectedCase);
+        });
+
+        test.each([
+            [42, trueCase],
+            [11, falseCase],
+        ])("WHEN: async comparator for %d", async (value, expectedCase) => {
+            // Arrange ------
+            var asyncComparator = { test: (v) => delay(v > 18) };
+            var m = matcher
+                .async({ user: { age: value } })
+                .matchCase(
+                    {
+                        user: {
+                            age: matcher.capture(
+                                "age",
+                                matcher.allOf(
+                                    matcher.number(),
+                                    asyncComparator,
+                                ),
+                            ),
+                        },
+                    },
+                    trueCase,
+                )
+                .otherwise(falseCase);
+
+            // Act ----------
+            var result = await m.resolve();
+
+            // Assert -------
+            expect(result).toBe(expectedCase);
+        });
+
+        test("WHEN: Cases are evaluated in order with short-circuit", async () => {
+            // Arrange ------
+            var calls = [];
+            var predicate = (key, value) => async () => {
+                calls.push(key);
+                return delay(value);
+            };
+            var m = matcher
+                .async()
+                .matchCase(predicate("A", false), "A")
+                .matchCase(predicate("B", true), "B")
+                .matchCase(predicate("C", true), "C");
+
+            // Act ----------
+            var result = await m.resolve();
+
+            // Assert -------
+            expect(result).toBe("B");
+            expect(calls).toEqual(["A", "B"]);
+        });
+
+        test.each([
+            ["comparator", [{ value: { test: async () => true } }, trueCase]],
+            [
+                "schema",
+                [
+                    {
+                        value: {
+                            "~standard": {
+                                version: 1,
+                                vendor: "test",
+                                validate: async (value) => ({ value }),
+                            },
+                        },
+                    },
+                    trueCase,
+                ],
+            ],
+            ["guard", [{ value: 1 }, { when: async () => true }, trueCase]],
+            ["predicate", [async () => true, trueCase]],
+        ])("WHEN: Sync matcher gets async %s", (_, args) => {
+            // Arrange ------
+            var m = matcher({ value: 1 });
+            var compiled = matcher.define((m) =>
+                m.matchCase(...args).otherwise(falseCase),
+            );
+
+            // Act ----------
+            var error = () => m.matchCase(...args);
+            var compiledError = () => compiled({ value: 1 });
+
+            // Assert -------
+            expect(error).toThrow(TypeError);
+            expect(compiledError).toThrow(TypeError);
+        });
+
+        test("WHEN: Async context mutation", async () => {
+            // Arrange ------
+            var m = matcher
+                .async({ foo: 1 })
+                .withContext(delay({ bar: 2 }))
+                .mapContext(async (ctx) => ({
+                    sum: await delay(ctx.foo + ctx.bar),
+                }))
+                .matchCase({ sum: 3 }, trueCase)
+                .otherwise(falseCase);
+
+            // Act ----------
+            var result = await m.resolve();
+
+            // Assert -------
+            expect(result).toBe(trueCase);
+        });
+
+        test.each([
+            [{ type: "num", foo: 42 }, "case2"],
+            [{ type: "num", foo: 30 }, "case3"],
+            [{ type: "str", foo: "bar" }, "case4"],
+        ])("WHEN: Async branching %o", async (ctx, expectedCase) => {
+            // Arrange ------
+            var m = matcher
+                .async(ctx)
+                .selectCase((ctx) => delay(ctx.type), {
+                    num: async (branch) => {
+                        await delay();
+                        branch
+                            .matchCase(({ foo }) => foo < 20, "case1")
+                            .matchCase(async ({ foo }) => foo > 40, "case2");
+                    },
+                })
+                .matchCase({ type: "num" }, (branch) =>
+                    branch.otherwise("case3"),
+                )
+                .otherwise("case4");
+
+            // Act ----------
+            var result = await m.resolve();
+
+            // Assert -------
+            expect(result).toBe(expectedCase);
+        });
+
+        test("WHEN: Unwrap async branch context", async () => {
+            // Arrange ------
+            var m = matcher
+                .async({ foo: 11 })
+                .forward((b) => b.withContext(delay({ bar: 22 })).unwrap());
+
+            // Act ----------
+            var result = await m.unwrap();
+
+            // Assert -------
+            expect(result).toEqual({ foo: 11, bar: 22 });
+        });
+
+        test("WHEN: Resolve with async resolver", async () => {
+            // Arrange ------
+            var ctx = { id: 42 };
+            var resolver = vi.fn((c) => delay(c.id));
+            var m = matcher.async(ctx).otherwise("A");
+
+            // Act ----------
+            var result = await m.resolve({ A: resolver }, 0);
+
+            // Assert -------
+            expect(result).toBe(42);
+            expect(resolver).toHaveBeenCalledWith(ctx, "A", {});
+        });
+
+        test("WHEN: Async predicate rejects", async () => {
+            // Arrange ------
+            var m = matcher
+                .async()
+                .matchCase(() => Promise.reject(new Error("fail")), trueCase)
+                .otherwise(falseCase);
+
+            // Act ----------
+            var result = m.resolve();
+
+            // Assert -------
+            await expect(result).rejects.toThrow("fail");
+        });
+    });
+
+    describe("Explain", () => {
+        test("WHEN: Explain matcher without trace", () => {
+            // Arrange ------
+            var ctx = { foo: 42 };
+            var m = matcher(ctx).matchCase({ foo: 42 }, trueCase);
+
+            // Act ----------
+            var result = m.explain();
+
+            // Assert -------
+            expect(result).toEqual({
+                matchedCase: trueCase,
+                context: ctx,
+                bindings: {},
+                steps: [],
+            });
+        });
+
+        test("WHEN: Explain pattern keys", () => {
+            // Arrange ------
+            var ctx = { plan: "pro", age: 16 };
+            var m = matcher(ctx, { trace: true })
+                .matchCase(
+                    { plan: "pro", age: matcher.number({ min: 18 }) },
+                    "A",
+                )
+                .matchCase(false, "B")
+                .otherwise("C");
+
+            // Act ----------
+            var result = m.explain();
+
+            // Assert -------
+            expect(result.matchedCase).toBe("C");
+            expect(result.steps).toEqual([
+                {
+                    step: "matchCase",
+                    depth: 0,
+                    context: ctx,
+                    case: "A",
+                    matched: false,
+                    keys: [
+                        { key: "plan", matched: true },
+                        { key: "age", matched: false },
+                    ],
+                },
+                {
+                    step: "matchCase",
+                    depth: 0,
+                    context: ctx,
+                    case: "B",
+                    matched: false,
+                },
+                { step: "otherwise", depth: 0, case: "C", matched: true },
+            ]);
+        });
+
+        test("WHEN: Explain keys until the first mismatched key", () => {
+            // Arrange ------
+            var comparator = { test: vi.fn(() => true) };
+            var m = matcher({ plan: "free", age: 16 }, { trace: true })
+                .matchCase({ age: comparator, plan: "pro", id: 1 }, "A")
+                .otherwise("B");
+
+            // Act ----------
+            var result = m.explain();
+
+            // Assert -------
+            expect(comparator.test).toHaveBeenCalledOnce();
+            expect(result.steps[0].keys).toEqual([
+                { key: "age", matched: true },
+                { key: "plan", matched: false },
+            ]);
+        });
+
+        test("WHEN: Explain pattern keys for null context", () => {
+            // Arrange ------
+            var m = matcher({ a: 1 }, { trace: true })
+                .mapContext(() => null)
+                .matchCase({ a: 1 }, "x")
+                .otherwise("y");
+
+            // Act ----------
+            var result = m.explain();
+
+            // Assert -------
+            expect(result.matchedCase).toBe("y");
+            expect(result.steps[0]).toMatchObject({ matched: false, keys: [] });
+        });
+
+        test("WHEN: Explain branches", () => {
+            // Arrange ------
+            var ctx = { type: "num", foo: 42 };
+            var m = matcher(ctx, { trace: true })
+                .selectCase((c) => c.type, {
+                    num: (b) => b.matchCase((c) => c.foo > 40, "big"),
+                })
+                .forward((b) => b.otherwise("skipped"))
+                .otherwise("C");
+
+            // Act ----------
+            var result = m.explain();
+
+            // Assert -------
+            expect(result.matchedCase).toBe("big");
+            expect(result.steps).toEqual([
+                {
+                    step: "selectCase",
+                    depth: 0,
+                    context: ctx,
+                    selected: "num",
+                    branch: true,
+                    matched: true,
+                },
+                { step: "branch", depth: 1, action: "enter" },
+                {
+                    step: "matchCase",
+                    depth: 1,
+                    context: ctx,
+                    case: "big",
+                    matched: true,
+                },
+                { step: "branch", depth: 1, action: "exit", matched: true },
+                { step: "otherwise", depth: 0, case: "C", matched: false },
+            ]);
+        });
+
+        test("WHEN: Explain forwarding", () => {
+            // Arrange ------
+            var m = matcher({}, { trace: true }).forward((b) =>
+                b.selectCase(() => undefined),
+            );
+
+            // Act ----------
+            var result = m.explain();
+
+            // Assert -------
+            expect(result.steps.map((s) => s.step)).toEqual([
+                "forward",
+                "branch",
+                "selectCase",
+                "branch",
+            ]);
+            expect(result.steps[2]).toMatchObject({
+                selected: undefined,
+                matched: false,
+            });
+            expect(result.steps[3]).toMatchObject({ matched: false });
+        });
+    });
+
+    describe("Validation", () => {
+        test.each([
+            [matcher.number({ min: 18 }), 16, "expected number >= 18, got 16"],
+            [
+                matcher.number({ integer: true, min: 1, max: 9 }),
+                "1",
+                'expected integer >= 1 and <= 9, got "1"',
+            ],
+            [
+                matcher.string({ minLen: 2 }),
+                "a",
+                'expected string with length >= 2, got "a"',
+            ],
+            [matcher.bigint({ max: 5n }), 6n, "expected bigint <= 5n, got 6n"],
+            [
+                matcher.date({ after: "2025-01-01" }),
+                new Date("2024-01-01"),
+                "expected date after 2025-01-01T00:00:00.000Z, got 2024-01-01T00:00:00.000Z",
+            ],
+            [
+                matcher.array({ every: matcher.number() }),
+                [1, "2"],
+                "expected array of number, got array",
+            ],
+            [
+                matcher.oneOf(["a", "b"]),
+                "c",
+                'expected one of "a", "b", got "c"',
+            ],
+            [
+                matcher.anyOf(matcher.nullish(), matcher.boolean()),
+                0,
+                "expected null or undefined or boolean, got 0",
+            ],
+            [matcher.not(1), 1, "expected not 1, got 1"],
+            [
+                matcher.object({ id: matcher.number() }),
+                { id: "1" },
+                'id: expected number, got "1"',
+            ],
+            [{ test: () => false }, null, "expected matching value, got null"],
+        ])("WHEN: Comparator %o fails for %o", (pattern, value, message) => {
+            // Arrange ------
+            var expected = { valid: false, errors: [{ path: [], message }] };
+
+            // Act ----------
+            var result = matcher.validate(value, pattern);
+
+            // Assert -------
+            expect(result).toEqual(expected);
+        });
+
+        test("WHEN: Validate all fields of the pattern", () => {
+            // Arrange ------
+            var pattern = {
+                age: matcher.number({ min: 18 }),
+                role: "admin",
+                address: { country: matcher.string() },
+                tags: ["user", ...matcher.rest(matcher.string())],
+            };
+            var value = { age: 16, role: "admin", tags: ["user", "a", 1] };
+
+            // Act ----------
+            var result = matcher.validate(value, pattern);
+
+            // Assert -------
+            expect(result).toEqual({
+                valid: false,
+                errors: [
+                    { path: ["age"], message: "expected number >= 18, got 16" },
+                    {
+                        path: ["address"],
+                        message: "expected object, got undefined",
+                    },
+                    { path: ["tags", 2], message: "expected string, got 1" },
+                ],
+            });
+        });
+
+        test.each([
+            [[1, 2], [1], "expected array of 1 items, got 2"],
+            [
+                [1],
+                [1, 2, ...matcher.rest()],
+                "expected array of at least 2 items, got 1",
+            ],
+            [[1, 3], [1, ...matcher.rest(), 2], "expected 2, got 3"],
+            ["1", [1], 'expected array, got "1"'],
+        ])("WHEN: Array %o is validated by %o", (value, pattern, message) => {
+            // Act ----------
+            var result = matcher.validate(value, pattern);
+
+            // Assert -------
+            expect(result.errors.map((error) => error.message)).toEqual([
+                message,
+            ]);
+        });
+
+        test("WHEN: Comparator explains the failed value", () => {
+            // Arrange ------
+            var even = {
+                test: (value) => value % 2 === 0,
+                explain: (value) => `${value} is odd`,
+            };
+
+            // Act ----------
+            var result = matcher.validate({ count: 3 }, { count: even });
+
+            // Assert -------
+            expect(result.errors).toEqual([
+                { path: ["count"], message: "3 is odd" },
+            ]);
+        });
+
+        test("WHEN: Value is valid", () => {
+            // Arrange ------
+            var pattern = { age: matcher.number({ min: 18 }) };
+
+            // Act ----------
+            var result = matcher.validate({ age: 30 }, pattern);
+
+            // Assert -------
+            expect(result).toEqual({ valid: true, errors: [] });
+        });
+
+        test("WHEN: Validate with async comparator", () => {
+            // Arrange ------
+            var comparator = { test: async () => true };
+
+            // Act ----------
+            var error = () => matcher.validate(1, comparator);
+
+            // Assert -------
+            expect(error).toThrow(TypeError);
+        });
+    });
+
+    describe("JSON rules", () => {
+        var rules = {
+            cases: [
+                { match: { age: { $number: { max: 17 } } }, case: "child" },
+                {
+                    match: { plan: "pro" },
+                    branch: {
+                        cases: [
+                            {
+                                match: { seats: { $number: { min: 10 } } },
+                                case: "team",
+                            },
+                        ],
+                        otherwise: "pro",
+                    },
+                },
+                {
+                    select: "country",
+                    map: {
+                        DE: "eu",
+                        US: { cases: [{ match: true, case: "us" }] },
+                    },
+                },
+                {
+                    match: {
+                        email: {
+                            $string: { pattern: "@EXAMPLE\\.com$", flags: "i" },
+                        },
+                    },
+                    case: "staff",
+                },
+                { forward: { cases: [{ select: "tier" }] } },
+            ],
+            otherwise: "basic",
+        };
+
+        test.each([
+            [{ age: 12 }, "child"],
+            [{ age: 30, plan: "pro", seats: 20 }, "team"],
+            [{ age: 30, plan: "pro", seats: 2 }, "pro"],
+            [{ age: 30, country: "DE" }, "eu"],
+            [{ age: 30, country: "US" }, "us"],
+            [{ age: 30, email: "bob@example.com" }, "staff"],
+            [{ age: 30, tier: "gold" }, "gold"],
+            [{ age: 30 }, "basic"],
+        ])("WHEN: Forward to JSON rules for %o", (ctx, expectedCase) => {
+            // Arrange ------
+            var delegate = matcher.fromJSON(rules);
+
+            // Act ----------
+            var result = matcher(ctx).forward(delegate).resolve();
+
+            // Assert -------
+            expect(result).toBe(expectedCase);
+        });
+
+        test.each([
+            [{ $boolean: true }, false, true],
+            [{ $date: { after: "2025-01-01" } }, new Date("2025-06-01"), true],
+            [{ $array: { every: { $number: true } } }, [1, "2"], false],
+            [{ $object: { id: 1 } }, { id: 1 }, true],
+            [{ $nullish: true }, null, true],
+            [{ $defined: true }, undefined, false],
+            [{ $any: true }, undefined, true],
+            [{ $anyOf: ["a", { $number: true }] }, 1, true],
+            [{ $allOf: [{ $number: true }, { $not: 0 }] }, 0, false],
+            [{ $oneOf: ["a", "b"] }, "b", true],
+            [[1, { $string: true }], [1, "a"], true],
+            [["a", { $rest: true }], ["a", "b", "c"], true],
+            [[{ $rest: { $number: true } }], [1, "2"], false],
+        ])(
+            "WHEN: JSON comparator %o for value %o",
+            (pattern, value, isMatched) => {
+                // Arrange ------
+                var delegate = matcher.fromJSON({
+                    cases: [{ match: { value: pattern }, case: trueCase }],
+                    otherwise: falseCase,
+                });
+
+                // Act ----------
+                var result = matcher({ value }).forward(delegate).resolve();
+
+                // Assert -------
+                expect(result).toBe(isMatched ? trueCase : falseCase);
+            },
+        );
+
+        test("WHEN: Capture by JSON comparator", () => {
+            // Arrange ------
+            var picker = vi.fn();
+            var delegate = matcher.fromJSON({
+                cases: [
+                    {
+                        match: { id: { $capture: ["id", { $number: true }] } },
+                        case: trueCase,
+                    },
+                ],
+            });
+
+            // Act ----------
+            matcher({ id: 42 }).forward(delegate).pick(picker);
+
+            // Assert -------
+            expect(picker).toHaveBeenCalledWith({ id: 42 }, trueCase, {
+                id: 42,
+            });
+        });
+
+        test.each([
+            ["unknown comparator", { cases: [{ match: { a: { $foo: 1 } } }] }],
+            ["invalid case", { cases: [{ foo: "bar" }] }],
+            ["invalid rules", null],
+        ])("WHEN: Parse %s", (_, invalidRules) => {
+            // Act ----------
+            var error = () => matcher.fromJSON(invalidRules);
+
+            // Assert -------
+            expect(error).toThrow(TypeError);
+        });
+
+        test("WHEN: Serialize JSON delegate", () => {
+            // Act ----------
+            var result = JSON.stringify(matcher.fromJSON(rules));
+
+            // Assert -------
+            expect(JSON.parse(result)).toEqual(rules);
+        });
+
+        test("WHEN: Serialize matcher definition", () => {
+            // Arrange ------
+            var definition = matcher.define((m) =>
+                m
+                    .matchCase(
+                        {
+                            age: matcher.number({ max: 17 }),
+                            name: matcher.string({ pattern: /^a/i }),
+                            tags: matcher.array({ some: matcher.oneOf(["x"]) }),
+                        },
+                        "child",
+                    )
+                    .matchCase(
+                        { id: matcher.capture("id", matcher.anyOf(1, 2)) },
+                        matcher.fromJSON({ otherwise: "id" }),
+                    )
+                    .matchCase(true, "debug")
+                    .forward(matcher.fromJSON({ cases: [{ select: "tier" }] }))
+                    .otherwise("basic")
+                    .resolve(),
+            );
+
+            // Act ----------
+            var result = JSON.parse(JSON.stringify(definition));
+
+            // Assert -------
+            expect(result).toEqual({
+                cases: [
+                    {
+                        match: {
+                            age: { $number: { max: 17 } },
+                            name: { $string: { pattern: "^a", flags: "i" } },
+                            tags: { $array: { some: { $oneOf: ["x"] } } },
+                        },
+                        case: "child",
+                    },
+                    {
+                        match: { id: { $capture: ["id", { $anyOf: [1, 2] }] } },
+                        branch: { otherwise: "id" },
+                    },
+                    { match: true, case: "debug" },
+                    { forward: { cases: [{ select: "tier" }] } },
+                ],
+                otherwise: "basic",
+            });
+        });
+
+        test("WHEN: Serialize definition with JSON values", () => {
+            // Arrange ------
+            var definition = matcher.define((m) =>
+                m.with({ a: 1 }, { limit: 10 }).otherwise(matcher.value(0)),
+            );
+
+            // Act ----------
+            var rules = definition.toJSON();
+
+            // Assert -------
+            expect(rules).toEqual({
+                cases: [{ match: { a: 1 }, case: { limit: 10 } }],
+                otherwise: 0,
+            });
+        });
+
+        test("WHEN: Serialize definition with array rest", () => {
+            // Arrange ------
+            var definition = matcher.define((m) =>
+                m
+                    .matchCase({ args: ["a", ...matcher.rest()] }, "a")
+                    .matchCase(
+                        { args: [...matcher.rest(matcher.number())] },
+                        "n",
+                    ),
+            );
+
+            // Act ----------
+            var rules = JSON.parse(JSON.stringify(definition));
+
+            // Assert -------
+            expect(rules).toEqual({
+                cases: [
+                    { match: { args: ["a", { $rest: true }] }, case: "a" },
+                    {
+                        match: { args: [{ $rest: { $number: {} } }] },
+                        case: "n",
+                    },
+                ],
+            });
+        });
+
+        test("WHEN: Serialize definition with case priority", () => {
+            // Arrange ------
+            var definition = matcher.define((m) =>
+                m
+                    .matchCase({ a: 1 }, "a", { priority: 2 })
+                    .with({ b: 1 }, { limit: 1 }, { priority: 1 }),
+            );
+
+            // Act ----------
+            var rules = definition.toJSON();
+
+            // Assert -------
+            expect(rules).toEqual({
+                cases: [
+                    { match: { a: 1 }, case: "a", priority: 2 },
+                    { match: { b: 1 }, case: { limit: 1 }, priority: 1 },
+                ],
+            });
+        });
+
+        test("WHEN: Serialize definition with tag matching", () => {
+            // Arrange ------
+            var keyRules = {
+                cases: [{ match: { code: "Enter" }, case: "submit" }],
+            };
+            var definition = matcher.define((m) =>
+                m.matchTag("type", {
+                    click: "click",
+                    key: matcher.fromJSON(keyRules),
+                }),
+            );
+
+            // Act ----------
+            var rules = definition.toJSON();
+
+            // Assert -------
+            expect(rules).toEqual({
+                cases: [
+                    {
+                        select: "type",
+                        map: { click: "click", key: keyRules },
+                    },
+                ],
+            });
+            expect(
+                matcher({ type: "key", code: "Enter" })
+                    .forward(matcher.fromJSON(rules))
+                    .resolve(),
+            ).toBe("submit");
+        });
+
+        test("WHEN: Serialized definition is loaded back", () => {
+            // Arrange ------
+            var definition = matcher.define((m) =>
+                m
+                    .matchCase(
+                        { user: { role: matcher.oneOf(["admin"]) } },
+                        "A",
+                    )
+                    .otherwise("B"),
+            );
+            var delegate = matcher.fromJSON(
+                JSON.parse(JSON.stringify(definition)),
+            );
+            var ctx = { user: { role: "admin" } };
+
+            // Act ----------
+            var result = matcher(ctx).forward(delegate).resolve();
+
+            // Assert -------
+            expect(result).toBe(definition.compile()(ctx));
+        });
+
+        test.each([
+            ["predicate", (m) => m.matchCase(() => true, "A")],
+            [
+                "custom comparator",
+                (m) => m.matchCase({ a: { test: () => true } }, "A"),
+            ],
+            [
+                "instanceOf",
+                (m) => m.matchCase({ a: matcher.instanceOf(Date) }, "A"),
+            ],
+            ["branch delegate", (m) => m.matchCase(true, (b) => b)],
+            ["select case", (m) => m.selectCase((c) => c.type)],
+            ["context mapping", (m) => m.mapContext((c) => c)],
+            ["resolve with map", (m) => m.otherwise("A").resolve({ A: 1 })],
+            ["function value", (m) => m.with(true, () => 1)],
+            [
+                "otherwise with function value",
+                (m) => m.otherwise(matcher.value(() => 1)),
+            ],
+            ["field predicate", (m) => m.matchCase({ a: () => true }, "A")],
+            [
+                "wrapped value in pattern",
+                (m) => m.matchCase({ a: matcher.value(1) }, "A"),
+            ],
+            [
+                "tag matching with value",
+                (m) => m.matchTag("type", { a: matcher.value(1) }),
+            ],
+            [
+                "guard clause",
+                (m) => m.matchCase({ a: 1 }, { when: () => true }, "A"),
+            ],
+        ])("WHEN: Serialize definition with %s", (_, builder) => {
+            // Arrange ------
+            var definition = matcher.define(builder);
+
+            // Act ----------
+            var error = () => definition.toJSON();
+
+            // Assert -------
+            expect(error).toThrow(TypeError);
+        });
+    });
+
+    describe("Pick state", () => {
+        test("WHEN: Pick state of new empty matcher", () => {
+            // Arrange -----------
+            var m = matcher();
+            var picker = vi.fn()
+
+            // Act ---------------
+            m.pick(picker);
+
+            // Assert ------------
+            expect(picker).toHaveBeenCalledWith({}, undefined, {})
+        })
+
+        test("WHEN: Pick state of new matcher with context", () => {
+            // Arrange ------
+            var ctx = { foo: 42 };
+            var m = matcher(ctx);
+            var picker = vi.fn()
+
+            // Act ----------
+            m.pick(picker);
+
+            // Assert -------
+            expect(picker).toHaveBeenCalledWith(ctx, undefined, {})
+        })
+
+        test("WHEN: Pick state before and after match case", () => {
+            // Arrange ------
+            var ctx = { foo: 42 };
+            var m = matcher(ctx)
+            var picker = vi.fn()
+
+            // Act ----------
+            m.pick(picker).otherwise(trueCase).pick(picker);
+
+            // Assert -------
+            expect(picker).toHaveBeenNthCalledWith(1, ctx, undefined, {})
+            expect(picker).toHaveBeenNthCalledWith(2, ctx, trueCase, {})
+        })
+    })
+
+    describe("Comparators", () => {
+        describe("Number comparator", () => {
+            test.each([
+                ["is number", 42, trueCase],
+                ["not is number", "foo", falseCase],
+            ])("WHEN: check value type %s", (_, value, expectedCase) => {
+                // Arrange --------
+                var m = matcher({ value })
+                    .matchCase({ value: matcher.number() }, trueCase)
+                    .otherwise(falseCase);
+
+                // Act ------------
+                var result = m.resolve();
+
+                // Assert ---------
+                expect(result).toBe(expectedCase);
+            });
+
+            test.each([
+                [20, trueCase],
+                [5, falseCase],
+            ])(
+                "WHEN: check value 10 is less then %d max",
+                (max, expectedCase) => {
+                    // Arrange -----
+
+                    var m = matcher({ value: 10 })
+                        .matchCase({ value: matcher.number({ max }) }, trueCase)
+                        .otherwise(falseCase);
+
+                    // Act ---------
+                    var result = m.resolve();
+
+                    // Assert ------
+                    expect(result).toBe(expectedCase);
+                },
+            );
+
+            test.each([
+                [37, trueCase],
+                [72, falseCase],
+            ])(
+                "WHEN: check value 42 is greater then %d max",
+                (min, expectedCase) => {
+                    // Arrange -----
+                    var m = matcher({ value: 42 })
+                        .matchCase({ value: matcher.number({ min }) }, trueCase)
+                        .otherwise(falseCase);
+
+                    // Act ---------
+                    var result = m.resolve();
+
+                    // Assert ------
+                    expect(result).toBe(expectedCase);
+                },
+            );
+
+            test.each([
+                [32, trueCase],
+                [3.14, falseCase],
+            ])("WHEN: check value %d is integer", (value, expectedCase) => {
+                // Arrange -------
+                var m = matcher({ value })
+                    .matchCase(
+                        { value: matcher.number({ integer: true }) },
+                        trueCase,
+                    )
+                    .otherwise(falseCase);
+
+                // Act --------
+                var result = m.resolve();
+
+                // Assert -----
+                expect(result).toBe(expectedCase);
+            });
+
+            test.each([
+                [32, trueCase],
+                [3.14, trueCase],
+                [Infinity, falseCase],
+                [-Infinity, falseCase],
+                [NaN, falseCase],
+            ])("WHEN: check value %d is finite", (value, expectedCase) => {
+                // Arrange -------
+                var m = matcher({ value })
+                    .matchCase(
+                        { value: matcher.number({ finite: true }) },
+                        trueCase,
+                    )
+                    .otherwise(falseCase);
+
+                // Act --------
+                var result = m.resolve();
+
+                // Assert -----
+                expect(result).toBe(expectedCase);
+            });
+
+            test.each([
+                [{ exclusiveMin: 0 }, 0, falseCase],
+                [{ exclusiveMin: 0 }, 0.5, trueCase],
+                [{ exclusiveMax: 10 }, 10, falseCase],
+                [{ exclusiveMax: 10 }, 9.5, trueCase],
+                [{ multipleOf: 5 }, 15, trueCase],
+                [{ multipleOf: 5 }, 12, falseCase],
+                [{ multipleOf: 0.1 }, 0.3, trueCase],
+                [{ multipleOf: 0.1 }, 0.35, falseCase],
+                [{ multipleOf: 3 }, 1e20, falseCase],
+                [{ multipleOf: 4 }, 1e20, trueCase],
+                [{ positive: true }, 1, trueCase],
+                [{ positive: true }, 0, falseCase],
+                [{ negative: true }, -1, trueCase],
+                [{ negative: true }, 0, falseCase],
+                [{ nonZero: true }, -0, falseCase],
+                [{ nonZero: true }, NaN, trueCase],
+                [{ notNaN: true }, NaN, falseCase],
+                [{ notNaN: true }, Infinity, trueCase],
+                [{ safeInteger: true }, 2 ** 53 - 1, trueCase],
+                [{ safeInteger: true }, 2 ** 53, falseCase],
+                [{ oneOf: [1, 2, 3] }, 2, trueCase],
+                [{ oneOf: [1, 2, 3] }, 4, falseCase],
+                [{ min: 1 }, "5", falseCase],
+                [{ coerce: true, min: 1 }, "5", trueCase],
+                [{ coerce: true, min: 1 }, " 1.5e1 ", trueCase],
+                [{ coerce: true, min: 1 }, "0", falseCase],
+                [{ coerce: true }, "", falseCase],
+                [{ coerce: true }, "0x10", falseCase],
+                [{ coerce: true, notNaN: true }, "abc", falseCase],
+            ])(
+                "WHEN: check number with options %o and value %o",
+                (options, value, expectedCase) => {
+                    // Arrange -------
+                    var m = matcher({ value })
+                        .matchCase({ value: matcher.number(options) }, trueCase)
+                        .otherwise(falseCase);
+
+                    // Act --------
+                    var result = m.resolve();
+
+                    // Assert -----
+                    expect(result).toBe(expectedCase);
+                },
+            );
+
+            test.each([
+                [{ multipleOf: 0 }],
+                [{ multipleOf: -0 }],
+                [{ multipleOf: NaN }],
+            ])(
+                "WHEN: number options %o have no divisor, THEN: throws",
+                (options) => {
+                    // Act --------
+                    var act = () => matcher.number(options);
+
+                    // Assert -----
+                    expect(act).toThrow(RangeError);
+                },
+            );
+
+            test.each([
+                ["[0, 10)", 0, true],
+                ["[0, 10)", 10, false],
+                ["(0, 10]", 0, false],
+                ["(0, 10]", 10, true],
+                ["(, 0]", -1e9, true],
+                ["[0, Infinity)", 1e9, true],
+                ["[-1.5, 1.5]", -1.5, true],
+                ["[-1.5, 1.5]", "1", false],
+            ])(
+                "WHEN: check range %s with value %o",
+                (interval, value, expected) => {
+                    // Arrange -------
+                    var comparator = matcher.range(interval);
+
+                    // Act --------
+                    var result = comparator.test(value);
+
+                    // Assert -----
+                    expect(result).toBe(expected);
+                },
+            );
+
+            test.each([["0..10"], ["[0; 10]"], ["[10, 0]"], ["[a, 10]"]])(
+                "WHEN: range %s is invalid, THEN: throws",
+                (interval) => {
+                    // Act --------
+                    var act = () => matcher.range(interval);
+
+                    // Assert -----
+                    expect(act).toThrow(
+                        new TypeError(`Invalid range "${interval}"`),
+                    );
+                },
+            );
+
+            test("WHEN: serialize range, THEN: returns number options", () => {
+                // Arrange -------
+                var comparator = matcher.range("(0, 10]");
+
+                // Act --------
+                var result = JSON.parse(JSON.stringify(comparator));
+
+                // Assert -----
+                expect(result).toEqual({
+                    $number: { exclusiveMin: 0, max: 10 },
+                });
+            });
+        });
+
+        describe("Logical comparators", () => {
+            test.each([
+                ["pending", trueCase],
+                ["retry", trueCase],
+                ["done", falseCase],
+            ])("WHEN: anyOf values (%s)", (status, expectedCase) => {
+                // Arrange -------
+                var m = matcher({ status })
+                    .matchCase(
+                        { status: matcher.anyOf("pending", "retry") },
+                        trueCase,
+                    )
+                    .otherwise(falseCase);
+
+                // Act -----------
+                var result = m.resolve();
+
+                // Assert --------
+                expect(result).toBe(expectedCase);
+            });
+
+            test.each([
+                [42, trueCase],
+                [3.14, falseCase],
+                [-1, falseCase],
+            ])("WHEN: allOf comparators (%d)", (value, expectedCase) => {
+                // Arrange -------
+                var m = matcher({ value })
+                    .matchCase(
+                        {
+                            value: matcher.allOf(
+                                matcher.number({ integer: true }),
+                                matcher.number({ min: 0 }),
+                            ),
+                        },
+                        trueCase,
+                    )
+                    .otherwise(falseCase);
+
+                // Act -----------
+                var result = m.resolve();
+
+                // Assert --------
+                expect(result).toBe(expectedCase);
+            });
+
+            test.each([
+                [2, trueCase],
+                [0, falseCase],
+            ])("WHEN: not value (%d)", (attempts, expectedCase) => {
+                // Arrange -------
+                var m = matcher({ attempts })
+                    .matchCase({ attempts: matcher.not(0) }, trueCase)
+                    .otherwise(falseCase);
+
+                // Act -----------
+                var result = m.resolve();
+
+                // Assert --------
+                expect(result).toBe(expectedCase);
+            });
+
+            test.each([
+                ["b", trueCase],
+                [NaN, trueCase],
+                ["d", falseCase],
+            ])("WHEN: oneOf values (%s)", (value, expectedCase) => {
+                // Arrange -------
+                var m = matcher({ value })
                     .matchCase(
-                        { value: matcher.number({ integer: true }) },
+                        { value: matcher.oneOf(["a", "b", NaN]) },
+                        trueCase,
+                    )
+                    .otherwise(falseCase);
+
+                // Act -----------
+                var result = m.resolve();
+
+                // Assert --------
+                expect(result).toBe(expectedCase);
+            });
+
+            test.each([
+                [{ status: "retry", attempts: 2 }, trueCase],
+                [{ status: "pending", attempts: 1 }, trueCase],
+                [{ status: "retry", attempts: 0 }, falseCase],
+                [{ status: "done", attempts: 2 }, falseCase],
+            ])("WHEN: nested combinators %o", (ctx, expectedCase) => {
+                // Arrange -------
+                var m = matcher({ job: ctx })
+                    .matchCase(
+                        {
+                            job: matcher.allOf(
+                                {
+                                    status: matcher.anyOf(
+                                        "pending",
+                                        matcher.oneOf(["retry"]),
+                                    ),
+                                },
+                                { attempts: matcher.not(0) },
+                            ),
+                        },
                         trueCase,
                     )
                     .otherwise(falseCase);
 
-                // Act --------
-                var result = m.resolve();
+                // Act -----------
+                var result = m.resolve();
+
+                // Assert --------
+                expect(result).toBe(expectedCase);
+            });
+        });
+
+        describe("String comparator", () => {
+            test.each([
+                ["foo", trueCase],
+                [42, falseCase],
+            ])(
+                "WHEN: check value (%s) is string value",
+                (value, expectedCase) => {
+                    // Arrange ---------
+                    var m = matcher({ value })
+                        .matchCase({ value: matcher.string() }, trueCase)
+                        .otherwise(falseCase);
+
+                    // Act --------------
+                    var result = m.resolve();
+
+                    // Assert -----------
+                    expect(result).toBe(expectedCase);
+                },
+            );
+
+            test.each([
+                ["bar", trueCase],
+                ["lorem", falseCase],
+            ])(
+                "WHEN: check string (%s) length is less 4",
+                (value, expectedCase) => {
+                    // Arrange ----------
+                    var m = matcher({ value })
+                        .matchCase(
+                            { value: matcher.string({ maxLen: 4 }) },
+                            trueCase,
+                        )
+                        .otherwise(falseCase);
+
+                    // Act --------------
+                    var result = m.resolve();
+
+                    // Assert -----------
+                    expect(result).toBe(expectedCase);
+                },
+            );
+
+            test.each([
+                ["qwe", falseCase],
+                ["ipsum", trueCase],
+            ])(
+                "WHEN: check string (%s) length is greater than 4",
+                (value, expectedCase) => {
+                    // Arrange -----
+                    var m = matcher({ value })
+                        .matchCase(
+                            { value: matcher.string({ minLen: 4 }) },
+                            trueCase,
+                        )
+                        .otherwise(falseCase);
+
+                    // Act ---------
+                    var result = m.resolve();
+
+                    // Assert ------
+                    expect(result).toBe(expectedCase);
+                },
+            );
+
+            test.each([
+                ["foo42", trueCase],
+                ["255bit", falseCase],
+            ])(
+                "WHEN: check string (%s) is match pattern",
+                (value, expectedCase) => {
+                    // Arrange ------
+                    var pattern = /^[a-z]+[0-9]+$/i;
+                    var m = matcher({ value })
+                        .matchCase(
+                            { value: matcher.string({ pattern }) },
+                            trueCase,
+                        )
+                        .otherwise(falseCase);
+
+                    // Act ---------
+                    var result = m.resolve();
+
+                    // Assert ------
+                    expect(result).toBe(expectedCase);
+                },
+            );
+
+            test.each([
+                [{ pattern: "^[a-z]+[0-9]+$" }, "foo42", trueCase],
+                [{ pattern: "^[a-z]+[0-9]+$" }, "FOO42", falseCase],
+                [{ pattern: "^[a-z]+$", flags: "i" }, "FOO", trueCase],
+                [{ pattern: "^[a-z]+$", ignoreCase: true }, "FOO", trueCase],
+                [{ startsWith: "foo" }, "foobar", trueCase],
+                [{ startsWith: "foo" }, "barfoo", falseCase],
+                [{ endsWith: "bar" }, "foobar", trueCase],
+                [{ endsWith: "bar" }, "barfoo", falseCase],
+                [{ includes: "ob" }, "foobar", trueCase],
+                [{ includes: "ob" }, "bar", falseCase],
+                [{ oneOf: ["draft", "done"] }, "done", trueCase],
+                [{ oneOf: ["draft", "done"] }, "Done", falseCase],
+                [
+                    { oneOf: ["draft", "done"], ignoreCase: true },
+                    "Done",
+                    trueCase,
+                ],
+                [{ startsWith: "FOO", ignoreCase: true }, "foobar", trueCase],
+                [{ trim: true, oneOf: ["foo"] }, "  foo ", trueCase],
+                [{ trim: true, maxLen: 3 }, "  foo ", trueCase],
+                [{ nonEmpty: true }, "", falseCase],
+                [{ nonEmpty: true }, " ", trueCase],
+                [{ nonEmpty: true, trim: true }, " ", falseCase],
+            ])(
+                "WHEN: check string with options %o and value %o",
+                (options, value, expectedCase) => {
+                    // Arrange ------
+                    var m = matcher({ value })
+                        .matchCase({ value: matcher.string(options) }, trueCase)
+                        .otherwise(falseCase);
+
+                    // Act ---------
+                    var result = m.resolve();
+
+                    // Assert ------
+                    expect(result).toBe(expectedCase);
+                },
+            );
+
+            test.each([
+                [{ pattern: "a", flags: "g" }],
+                [{ pattern: "a", flags: "y" }],
+                [{ pattern: /a/g }],
+            ])(
+                "WHEN: check string repeatedly with stateful pattern %o",
+                (options) => {
+                    // Arrange ------
+                    var comparator = matcher.string(options);
+
+                    // Act ---------
+                    var results = [
+                        comparator.test("a"),
+                        comparator.test("a"),
+                        comparator.test("a"),
+                    ];
+
+                    // Assert ------
+                    expect(results).toEqual([true, true, true]);
+                },
+            );
+
+            test.each([
+                ["email", "user@example.com", true],
+                ["email", "user@example", false],
+                ["email", "user @example.com", false],
+                ["uuid", "123e4567-e89b-12d3-a456-426614174000", true],
+                ["uuid", "123e4567-e89b-12d3-a456-42661417400", false],
+                ["url", "https://example.com/path?query=1", true],
+                ["url", "example.com", false],
+                ["iso-date", "2024-02-29", true],
+                ["iso-date", "2024-02-29T10:30:00.000Z", true],
+                ["iso-date", "2023-02-29", false],
+                ["iso-date", "2024-13-01", false],
+                ["semver", "1.2.3", true],
+                ["semver", "1.0.0-beta.1+build.5", true],
+                ["semver", "01.2.3", false],
+                ["slug", "hello-world-42", true],
+                ["slug", "Hello--World", false],
+            ])(
+                "WHEN: check string format %s with value %o",
+                (format, value, expected) => {
+                    // Arrange ------
+                    var comparator = matcher.string({ format });
+
+                    // Act ---------
+                    var result = comparator.test(value);
+
+                    // Assert ------
+                    expect(result).toBe(expected);
+                },
+            );
+
+            test("WHEN: string format is unknown, THEN: throws", () => {
+                // Act ---------
+                var act = () => matcher.string({ format: "phone" });
+
+                // Assert ------
+                expect(act).toThrow(
+                    new TypeError('Unknown string format "phone"'),
+                );
+            });
+
+            test("WHEN: describe string options, THEN: lists constraints", () => {
+                // Arrange ------
+                var comparator = matcher.string({
+                    trim: true,
+                    nonEmpty: true,
+                    startsWith: "a",
+                    format: "slug",
+                });
+
+                // Act ---------
+                var result = comparator.describe();
+
+                // Assert ------
+                expect(result).toBe(
+                    'trimmed string non-empty and in slug format and starting with "a"',
+                );
+            });
+        });
+
+        describe("Type comparators", () => {
+            class Foo {}
+
+            test.each([
+                ["boolean", matcher.boolean(), false, trueCase],
+                ["boolean", matcher.boolean(), 0, falseCase],
+                ["instanceOf", matcher.instanceOf(Foo), new Foo(), trueCase],
+                ["instanceOf", matcher.instanceOf(Foo), {}, falseCase],
+                ["nullish", matcher.nullish(), null, trueCase],
+                ["nullish", matcher.nullish(), undefined, trueCase],
+                ["nullish", matcher.nullish(), 0, falseCase],
+                ["defined", matcher.defined(), null, trueCase],
+                ["defined", matcher.defined(), undefined, falseCase],
+                ["any", matcher.any(), undefined, trueCase],
+                ["any", matcher.any(), "foo", trueCase],
+            ])(
+                "WHEN: check %s comparator with value %o",
+                (_, comparator, value, expectedCase) => {
+                    // Arrange -------
+                    var m = matcher({ value })
+                        .matchCase({ value: comparator }, trueCase)
+                        .otherwise(falseCase);
+
+                    // Act -----------
+                    var result = m.resolve();
+
+                    // Assert --------
+                    expect(result).toBe(expectedCase);
+                },
+            );
+        });
+
+        describe("BigInt comparator", () => {
+            test.each([
+                [5n, undefined, trueCase],
+                [5, undefined, falseCase],
+                [5n, { min: 1n, max: 10n }, trueCase],
+                [0n, { min: 1n }, falseCase],
+                [11n, { max: 10n }, falseCase],
+            ])(
+                "WHEN: check value %s with options %o",
+                (value, options, expectedCase) => {
+                    // Arrange -------
+                    var m = matcher({ value })
+                        .matchCase({ value: matcher.bigint(options) }, trueCase)
+                        .otherwise(falseCase);
+
+                    // Act -----------
+                    var result = m.resolve();
+
+                    // Assert --------
+                    expect(result).toBe(expectedCase);
+                },
+            );
+        });
+
+        describe("Date comparator", () => {
+            var from = new Date("2025-01-01");
+            var to = new Date("2025-12-31");
+
+            test.each([
+                [new Date("2025-06-01"), undefined, trueCase],
+                [new Date("invalid"), undefined, falseCase],
+                ["2025-06-01", undefined, falseCase],
+                [new Date("2025-06-01"), { after: from, before: to }, trueCase],
+                [new Date("2024-06-01"), { after: from }, falseCase],
+                [from, { after: from }, falseCase],
+                [new Date("2026-06-01"), { before: to.getTime() }, falseCase],
+            ])(
+                "WHEN: check value %o with options %o",
+                (value, options, expectedCase) => {
+                    // Arrange -------
+                    var m = matcher({ value })
+                        .matchCase({ value: matcher.date(options) }, trueCase)
+                        .otherwise(falseCase);
+
+                    // Act -----------
+                    var result = m.resolve();
+
+                    // Assert --------
+                    expect(result).toBe(expectedCase);
+                },
+            );
+        });
+
+        describe("Array comparator", () => {
+            test.each([
+                [[], undefined, trueCase],
+                ["foo", undefined, falseCase],
+                [[1, 2], { minLen: 2 }, trueCase],
+                [[1], { minLen: 2 }, falseCase],
+                [[1, 2, 3], { maxLen: 2 }, falseCase],
+                [[1, 2], { every: matcher.number() }, trueCase],
+                [[1, "2"], { every: matcher.number() }, falseCase],
+                [["a", "b"], { some: "b" }, trueCase],
+                [["a", "c"], { some: "b" }, falseCase],
+                [[{ id: 1 }, { id: 2 }], { some: { id: 2 } }, trueCase],
+            ])(
+                "WHEN: check value %o with options %o",
+                (value, options, expectedCase) => {
+                    // Arrange -------
+                    var m = matcher({ value })
+                        .matchCase({ value: matcher.array(options) }, trueCase)
+                        .otherwise(falseCase);
+
+                    // Act -----------
+                    var result = m.resolve();
+
+                    // Assert --------
+                    expect(result).toBe(expectedCase);
+                },
+            );
+        });
+
+        describe("Object comparator", () => {
+            test.each([
+                [{}, undefined, trueCase],
+                [new Date(), undefined, trueCase],
+                [null, undefined, falseCase],
+                [[], undefined, falseCase],
+                ["foo", undefined, falseCase],
+                [{ id: 1, name: "foo" }, { id: matcher.number() }, trueCase],
+                [{ id: "1" }, { id: matcher.number() }, falseCase],
+            ])(
+                "WHEN: check value %o with shape %o",
+                (value, shape, expectedCase) => {
+                    // Arrange -------
+                    var m = matcher({ value })
+                        .matchCase({ value: matcher.object(shape) }, trueCase)
+                        .otherwise(falseCase);
+
+                    // Act -----------
+                    var result = m.resolve();
+
+                    // Assert --------
+                    expect(result).toBe(expectedCase);
+                },
+            );
+        });
+        describe("Schema comparator", () => {
+            // Standard Schema validator of positive numbers
+            var createSchema = (validate) => ({
+                "~standard": { version: 1, vendor: "test", validate },
+            });
+            var positive = createSchema((value) =>
+                typeof value === "number" && value > 0
+                    ? { value }
+                    : { issues: [{ message: "must be positive" }] },
+            );
+            var asyncPositive = createSchema(async (value) =>
+                value > 0 ? { value } : { issues: [{ message: "negative" }] },
+            );
+
+            test.each([
+                [{ value: 1 }, { value: positive }, trueCase],
+                [{ value: -1 }, { value: positive }, falseCase],
+                [{ value: 1 }, { value: matcher.schema(positive) }, trueCase],
+                [
+                    { value: -1 },
+                    { value: matcher.not(matcher.schema(positive)) },
+                    trueCase,
+                ],
+                [{ value: 1 }, createSchema((value) => ({ value })), trueCase],
+            ])(
+                "WHEN: check context %o with schema",
+                (ctx, pattern, expected) => {
+                    // Arrange -------
+                    var m = matcher(ctx)
+                        .matchCase(pattern, trueCase)
+                        .otherwise(falseCase);
+
+                    // Act -----------
+                    var result = m.resolve();
+
+                    // Assert --------
+                    expect(result).toBe(expected);
+                },
+            );
+
+            test("WHEN: Function schema matches the whole context", () => {
+                // Arrange -------
+                var schema = Object.assign(() => {}, positive);
+
+                // Act -----------
+                var result = matcher(5).matchCase(schema, trueCase).resolve();
+
+                // Assert --------
+                expect(result).toBe(trueCase);
+            });
+
+            test.each([
+                [{ value: 1 }, trueCase],
+                [{ value: -1 }, falseCase],
+            ])("WHEN: check async schema for %o", async (ctx, expected) => {
+                // Arrange -------
+                var m = matcher
+                    .async(ctx)
+                    .matchCase({ value: asyncPositive }, trueCase)
+                    .otherwise(falseCase);
+
+                // Act -----------
+                var result = await m.resolve();
 
-                // Assert -----
-                expect(result).toBe(expectedCase);
+                // Assert --------
+                expect(result).toBe(expected);
+            });
+
+            test("WHEN: Validate value by schema", () => {
+                // Arrange -------
+                var schema = createSchema(() => ({
+                    issues: [
+                        { message: "required", path: ["user", { key: "id" }] },
+                        { message: "invalid" },
+                    ],
+                }));
+
+                // Act -----------
+                var result = matcher.validate({ data: 1 }, { data: schema });
+
+                // Assert --------
+                expect(result.errors).toEqual([
+                    { path: ["data"], message: "user.id: required; invalid" },
+                ]);
             });
+        });
+
+        describe("Guard comparator", () => {
+            var isEmail = (value) =>
+                typeof value === "string" && value.includes("@");
 
             test.each([
-                [32, trueCase],
-                [3.14, trueCase],
-                [Infinity, falseCase],
-                [-Infinity, falseCase],
-                [NaN, falseCase],
-            ])("WHEN: check value %d is finite", (value, expectedCase) => {
+                ["bob@example.com", trueCase],
+                ["bob", falseCase],
+                [42, falseCase],
+            ])("WHEN: check value %o with guard", (value, expected) => {
                 // Arrange -------
                 var m = matcher({ value })
-                    .matchCase(
-                        { value: matcher.number({ finite: true }) },
-                        trueCase,
-                    )
+                    .matchCase({ value: matcher.guard(isEmail) }, trueCase)
                     .otherwise(falseCase);
 
-                // Act --------
+                // Act -----------
                 var result = m.resolve();
 
-                // Assert -----
-                expect(result).toBe(expectedCase);
+                // Assert --------
+                expect(result).toBe(expected);
             });
-        });
 
-        describe("String comparator", () => {
             test.each([
-                ["foo", trueCase],
-                [42, falseCase],
-            ])(
-                "WHEN: check value (%s) is string value",
-                (value, expectedCase) => {
-                    // Arrange ---------
-                    var m = matcher({ value })
-                        .matchCase({ value: matcher.string() }, trueCase)
-                        .otherwise(falseCase);
+                ["bob@example.com", trueCase],
+                ["bob", falseCase],
+            ])("WHEN: check value %o with predicate", (value, expected) => {
+                // Arrange -------
+                var m = matcher({ value })
+                    .matchCase({ value: isEmail }, trueCase)
+                    .otherwise(falseCase);
 
-                    // Act --------------
-                    var result = m.resolve();
+                // Act -----------
+                var result = m.resolve();
 
-                    // Assert -----------
-                    expect(result).toBe(expectedCase);
-                },
-            );
+                // Assert --------
+                expect(result).toBe(expected);
+            });
 
             test.each([
-                ["bar", trueCase],
-                ["lorem", falseCase],
+                [isEmail, trueCase],
+                [() => true, falseCase],
             ])(
-                "WHEN: check string (%s) length is less 4",
-                (value, expectedCase) => {
-                    // Arrange ----------
-                    var m = matcher({ value })
+                "WHEN: check function with wrapped function",
+                (handler, expected) => {
+                    // Arrange -------
+                    var m = matcher({ handler })
                         .matchCase(
-                            { value: matcher.string({ maxLen: 4 }) },
+                            { handler: matcher.value(isEmail) },
                             trueCase,
                         )
                         .otherwise(falseCase);
 
-                    // Act --------------
+                    // Act -----------
                     var result = m.resolve();
 
-                    // Assert -----------
-                    expect(result).toBe(expectedCase);
+                    // Assert --------
+                    expect(result).toBe(expected);
                 },
             );
 
+            test("WHEN: predicate returns promise, THEN: TypeError is thrown", () => {
+                // Act -----------
+                var act = () =>
+                    matcher({ value: 1 }).matchCase(
+                        { value: async () => true },
+                        trueCase,
+                    );
+
+                // Assert --------
+                expect(act).toThrow(TypeError);
+            });
+
+            test("WHEN: pattern has class, THEN: TypeError is thrown", () => {
+                // Arrange -------
+                class Shape {}
+
+                // Act -----------
+                var act = () =>
+                    matcher({ type: Shape }).matchCase(
+                        { type: Shape },
+                        trueCase,
+                    );
+
+                // Assert --------
+                expect(act).toThrow(
+                    new TypeError(
+                        "Class Shape can't be a predicate of the pattern, wrap it by matcher.value to match it by identity",
+                    ),
+                );
+            });
+
             test.each([
-                ["qwe", falseCase],
-                ["ipsum", trueCase],
+                [Error, trueCase],
+                [TypeError, falseCase],
             ])(
-                "WHEN: check string (%s) length is greater than 4",
-                (value, expectedCase) => {
-                    // Arrange -----
-                    var m = matcher({ value })
-                        .matchCase(
-                            { value: matcher.string({ minLen: 4 }) },
-                            trueCase,
-                        )
+                "WHEN: check constructor %o with wrapped value",
+                (type, expected) => {
+                    // Arrange -------
+                    var m = matcher({ type })
+                        .matchCase({ type: matcher.value(Error) }, trueCase)
                         .otherwise(falseCase);
 
-                    // Act ---------
+                    // Act -----------
                     var result = m.resolve();
 
-                    // Assert ------
-                    expect(result).toBe(expectedCase);
+                    // Assert --------
+                    expect(result).toBe(expected);
                 },
             );
 
+            test("WHEN: Validate value by predicate", () => {
+                // Act -----------
+                var result = matcher.validate(
+                    { contact: "bob" },
+                    { contact: isEmail },
+                );
+
+                // Assert --------
+                expect(result.errors).toEqual([
+                    {
+                        path: ["contact"],
+                        message: 'expected isEmail, got "bob"',
+                    },
+                ]);
+            });
+
+            test("WHEN: Validate value by guard", () => {
+                // Act -----------
+                var result = matcher.validate("bob", matcher.guard(isEmail));
+
+                // Assert --------
+                expect(result.errors).toEqual([
+                    { path: [], message: 'expected isEmail, got "bob"' },
+                ]);
+            });
+        });
+
+        describe("Selector comparator", () => {
+            var countItems = (cart) => cart.items?.length;
+
             test.each([
-                ["foo42", trueCase],
-                ["255bit", falseCase],
+                [{ items: [1, 2, 3] }, trueCase],
+                [{ items: [1] }, falseCase],
+                [{}, falseCase],
+            ])("WHEN: check selected value of %o", (cart, expected) => {
+                // Arrange -------
+                var m = matcher({ cart })
+                    .matchCase(
+                        {
+                            cart: matcher.at(
+                                countItems,
+                                matcher.number({ min: 2 }),
+                            ),
+                        },
+                        trueCase,
+                    )
+                    .otherwise(falseCase);
+
+                // Act -----------
+                var result = m.resolve();
+
+                // Assert --------
+                expect(result).toBe(expected);
+            });
+
+            test("WHEN: selector skips missing intermediate value, THEN: selected value is undefined", () => {
+                // Arrange -------
+                var m = matcher({ cart: null })
+                    .matchCase(
+                        matcher.at((ctx) => ctx.cart?.items, undefined),
+                        trueCase,
+                    )
+                    .otherwise(falseCase);
+
+                // Act -----------
+                var result = m.resolve();
+
+                // Assert --------
+                expect(result).toBe(trueCase);
+            });
+
+            test("WHEN: selector throws, THEN: error is thrown", () => {
+                // Arrange -------
+                var error = new TypeError("Selector failed");
+                var comparator = matcher.at(() => {
+                    throw error;
+                }, 1);
+
+                // Act -----------
+                var act = () => matcher({}).matchCase(comparator, trueCase);
+
+                // Assert --------
+                expect(act).toThrow(error);
+            });
+
+            test("WHEN: selector has a typo, THEN: TypeError is thrown", () => {
+                // Arrange -------
+                var comparator = matcher.at((value) => value.toFixedd(2), "1");
+
+                // Act -----------
+                var act = () =>
+                    matcher({ price: 1 })
+                        .matchCase({ price: comparator }, trueCase)
+                        .resolve();
+
+                // Assert --------
+                expect(act).toThrow(TypeError);
+            });
+
+            test("WHEN: describe selector comparator", () => {
+                // Act -----------
+                var result = matcher
+                    .at(countItems, matcher.number({ min: 2 }))
+                    .describe();
+
+                // Assert --------
+                expect(result).toBe("number >= 2 at countItems");
+            });
+        });
+
+        describe("Regex comparator", () => {
+            var userRoute = /^\/users\/(?<id>\d+)$/;
+
+            test.each([
+                ["/users/42", trueCase],
+                ["/users/me", falseCase],
+                [42, falseCase],
+            ])("WHEN: check value %o with regex", (path, expected) => {
+                // Arrange -------
+                var m = matcher({ path })
+                    .matchCase({ path: matcher.regex(userRoute) }, trueCase)
+                    .otherwise(falseCase);
+
+                // Act -----------
+                var result = m.resolve();
+
+                // Assert --------
+                expect(result).toBe(expected);
+            });
+
+            test.each([
+                ["/users/0", "root"],
+                ["/users/42", "user"],
             ])(
-                "WHEN: check string (%s) is match pattern",
-                (value, expectedCase) => {
-                    // Arrange ------
-                    var pattern = /^[a-z]+[0-9]+$/i;
-                    var m = matcher({ value })
-                        .matchCase(
-                            { value: matcher.string({ pattern }) },
-                            trueCase,
-                        )
-                        .otherwise(falseCase);
+                "WHEN: regex matched %s, THEN: groups are merged into branch context",
+                (path, expected) => {
+                    // Arrange -------
+                    var m = matcher({ path }).matchCase(
+                        { path: matcher.regex(userRoute) },
+                        (b) =>
+                            b
+                                .matchCase((ctx) => ctx.id === "0", "root")
+                                .otherwise("user"),
+                    );
 
-                    // Act ---------
+                    // Act -----------
                     var result = m.resolve();
 
-                    // Assert ------
-                    expect(result).toBe(expectedCase);
+                    // Assert --------
+                    expect(result).toBe(expected);
+                },
+            );
+
+            test("WHEN: regex has into option, THEN: groups are merged into the field", () => {
+                // Arrange -------
+                var predicate = vi.fn(() => true);
+                var m = matcher({ path: "/users/42" }).matchCase(
+                    { path: matcher.regex(userRoute, { into: "route" }) },
+                    (b) => b.matchCase(predicate, trueCase),
+                );
+
+                // Act -----------
+                var result = m.resolve();
+
+                // Assert --------
+                expect(result).toBe(trueCase);
+                expect(predicate).toHaveBeenCalledWith({
+                    path: "/users/42",
+                    route: { id: "42" },
+                });
+            });
+
+            test("WHEN: regex matched a case, THEN: context isn't changed", () => {
+                // Arrange -------
+                var context = { path: "/users/42" };
+                var picker = vi.fn();
+                var m = matcher(context).matchCase(
+                    { path: matcher.regex(userRoute) },
+                    trueCase,
+                );
+
+                // Act -----------
+                m.pick(picker);
+
+                // Assert --------
+                expect(picker).toHaveBeenCalledWith(context, trueCase, {});
+                expect(context).toEqual({ path: "/users/42" });
+            });
+
+            test("WHEN: global regex is reused, THEN: matches from the start", () => {
+                // Arrange -------
+                var comparator = matcher.regex(/(?<word>\w+)/g);
+
+                // Act -----------
+                var results = [comparator.test("foo"), comparator.test("foo")];
+
+                // Assert --------
+                expect(results).toEqual([true, true]);
+            });
+
+            test("WHEN: regex is matched in async matcher, THEN: groups are merged", async () => {
+                // Arrange -------
+                var m = matcher
+                    .async({ path: "/users/0" })
+                    .matchCase({ path: matcher.regex(userRoute) }, (b) =>
+                        b.matchCase(async (ctx) => ctx.id === "0", trueCase),
+                    )
+                    .otherwise(falseCase);
+
+                // Act -----------
+                var result = await m.resolve();
+
+                // Assert --------
+                expect(result).toBe(trueCase);
+            });
+
+            test.each([
+                ["^/users/", trueCase],
+                [{ pattern: "^/users/" }, trueCase],
+                [{ pattern: "^/orders/" }, falseCase],
+            ])("WHEN: regex rule %o", (options, expected) => {
+                // Arrange -------
+                var delegate = matcher.fromJSON({
+                    cases: [
+                        {
+                            match: { path: { $regex: options } },
+                            case: trueCase,
+                        },
+                    ],
+                    otherwise: falseCase,
+                });
+
+                // Act -----------
+                var result = matcher({ path: "/users/42" })
+                    .forward(delegate)
+                    .resolve();
+
+                // Assert --------
+                expect(result).toBe(expected);
+            });
+
+            test.each([[{}], [{ pattern: 1 }], [null]])(
+                "WHEN: invalid regex rule %o",
+                (options) => {
+                    // Act -----------
+                    var error = () =>
+                        matcher.fromJSON({
+                            cases: [
+                                {
+                                    match: { path: { $regex: options } },
+                                    case: 1,
+                                },
+                            ],
+                        });
+
+                    // Assert --------
+                    expect(error).toThrow(TypeError);
                 },
             );
+
+            test("WHEN: rules with regex are restored from JSON", () => {
+                // Arrange -------
+                var rules = JSON.parse(
+                    JSON.stringify({
+                        cases: [
+                            {
+                                match: {
+                                    path: matcher.regex(userRoute, {
+                                        into: "route",
+                                    }),
+                                },
+                                branch: {
+                                    cases: [
+                                        {
+                                            match: { "route.id": "0" },
+                                            case: "root",
+                                        },
+                                    ],
+                                    otherwise: "user",
+                                },
+                            },
+                        ],
+                    }),
+                );
+                var delegate = matcher.fromJSON(rules);
+
+                // Act -----------
+                var result = ["/users/0", "/users/42"].map((path) =>
+                    matcher({ path }).forward(delegate).resolve(),
+                );
+
+                // Assert --------
+                expect(result).toEqual(["root", "user"]);
+            });
         });
     });
 });